@@ -0,0 +1,129 @@
+const { getStore } = require('./storage');
+
+// Accounts (keyed by Firebase UID) and the devices linked to them.
+//
+// accounts/{uid}: { uid, email, phone, subscriptionExpiry, isPremium, date, count, ledgerSeq,
+//                   devices: { [deviceId]: { label, linkedAt } } }
+// users/{deviceId}.accountUid points back at the owning account.
+
+const MAX_DEVICES = Number(process.env.ACCOUNT_MAX_DEVICES || 3);
+
+function accountRef(uid) {
+    return getStore().collection('accounts').doc(uid);
+}
+
+function isDeviceLinked(account, deviceId) {
+    return !!(account && account.devices && account.devices[deviceId]);
+}
+
+function hasActivePremium(data) {
+    return !!(data && data.subscriptionExpiry && new Date(data.subscriptionExpiry) > new Date());
+}
+
+// Returns the account for a verified user, creating it on first use.
+async function ensureAccount(user) {
+    const ref = accountRef(user.uid);
+    const doc = await ref.get();
+    if (doc.exists) return doc.data();
+
+    const account = {
+        uid: user.uid,
+        email: user.email || null,
+        phone: user.phone || null,
+        devices: {},
+        createdAt: new Date().toISOString()
+    };
+    await ref.set(account, { merge: true });
+    return account;
+}
+
+// Adds the link inside a transaction. Callers must have finished their reads, and the request
+// must have proven it comes from the device (deviceService.requireDeviceWhenSignedIn).
+// Throws if the device belongs to another account or the account is full.
+function linkInTransaction(t, uid, account, deviceId, deviceData, label = null) {
+    const db = getStore();
+    if (deviceData && deviceData.accountUid && deviceData.accountUid !== uid) {
+        throw new Error("Device is linked to another account");
+    }
+    if (isDeviceLinked(account, deviceId)) return false;
+
+    const linkedCount = Object.keys((account && account.devices) || {}).length;
+    if (linkedCount >= MAX_DEVICES) {
+        throw new Error(`Device limit reached (${MAX_DEVICES}). Remove a device first.`);
+    }
+
+    t.set(accountRef(uid), {
+        devices: { [deviceId]: { label: label || null, linkedAt: new Date().toISOString() } }
+    }, { merge: true });
+    t.set(db.collection('users').doc(deviceId), { accountUid: uid }, { merge: true });
+    return true;
+}
+
+// Links a device to the signed-in user's account. The route checks the device's secret.
+async function linkDevice(user, deviceId, label = null) {
+    const db = getStore();
+    await ensureAccount(user);
+    try {
+        const linked = await db.runTransaction(async (t) => {
+            const accountDoc = await t.get(accountRef(user.uid));
+            const deviceDoc = await t.get(db.collection('users').doc(deviceId));
+            return linkInTransaction(t, user.uid, accountDoc.data(), deviceId, deviceDoc.exists ? deviceDoc.data() : null, label);
+        });
+        if (linked) console.log(`[Account] Linked device ${deviceId} to ${user.uid}`);
+        return { success: true, alreadyLinked: !linked };
+    } catch (e) {
+        console.log(`[Account] Link of ${deviceId} to ${user.uid} rejected: ${e.message}`);
+        return { success: false, error: e.message };
+    }
+}
+
+async function listDevices(uid, currentDeviceId = null) {
+    const doc = await accountRef(uid).get();
+    const devices = (doc.exists && doc.data().devices) || {};
+    return {
+        maxDevices: MAX_DEVICES,
+        devices: Object.entries(devices)
+            .map(([deviceId, info]) => ({
+                deviceId,
+                label: info.label || null,
+                linkedAt: info.linkedAt,
+                current: deviceId === currentDeviceId
+            }))
+            .sort((a, b) => (a.linkedAt < b.linkedAt ? -1 : 1))
+    };
+}
+
+async function revokeDevice(uid, deviceId) {
+    const db = getStore();
+    const ref = accountRef(uid);
+    const deviceRef = db.collection('users').doc(deviceId);
+
+    const revoked = await db.runTransaction(async (t) => {
+        const doc = await t.get(ref);
+        const deviceDoc = await t.get(deviceRef);
+        if (!doc.exists || !isDeviceLinked(doc.data(), deviceId)) return false;
+
+        const devices = { ...doc.data().devices };
+        delete devices[deviceId];
+        t.update(ref, { devices });
+        if (deviceDoc.exists && deviceDoc.data().accountUid === uid) {
+            t.update(deviceRef, { accountUid: null });
+        }
+        return true;
+    });
+
+    if (revoked) console.log(`[Account] Revoked device ${deviceId} from ${uid}`);
+    return revoked;
+}
+
+module.exports = {
+    MAX_DEVICES,
+    accountRef,
+    isDeviceLinked,
+    hasActivePremium,
+    ensureAccount,
+    linkInTransaction,
+    linkDevice,
+    listDevices,
+    revokeDevice
+};
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+
+// AdMob rewarded-ad server-side verification (SSV).
+//
+// AdMob calls /api/admob/ssv after a rewarded ad completes. The app sets
+// user_id to its deviceId and custom_data to a random nonce, which it later
+// sends as `adRewardToken` / `rewardToken`. Each verified callback becomes one
+// single-use reward in `ad_rewards` (keyed by AdMob's transaction_id).
+
+const DEFAULT_KEYS_URL = 'https://www.gstatic.com/admob/reward/verifier-keys.json';
+const KEYS_TTL_MS = 24 * 60 * 60 * 1000;
+const DAILY_REWARD_CAP = Number(process.env.AD_REWARD_DAILY_CAP || 10);
+
+let cachedKeys = null;
+let cachedAt = 0;
+
+function getTodayStr() {
+    return new Date().toISOString().split('T')[0];
+}
+
+function parseKeySet(json) {
+    const keys = {};
+    for (const key of json.keys || []) {
+        keys[String(key.keyId)] = key.pem;
+    }
+    return keys;
+}
+
+// Verifier keys come from ADMOB_SSV_KEYS (inline JSON, same format as Google's
+// key file) or are fetched from ADMOB_SSV_KEYS_URL and cached for a day.
+async function getVerifierKeys(forceRefresh = false) {
+    if (process.env.ADMOB_SSV_KEYS) {
+        return parseKeySet(JSON.parse(process.env.ADMOB_SSV_KEYS));
+    }
+    if (cachedKeys && !forceRefresh && Date.now() - cachedAt < KEYS_TTL_MS) {
+        return cachedKeys;
+    }
+
+    const response = await fetch(process.env.ADMOB_SSV_KEYS_URL || DEFAULT_KEYS_URL);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch AdMob verifier keys: ${response.status}`);
+    }
+    cachedKeys = parseKeySet(await response.json());
+    cachedAt = Date.now();
+    return cachedKeys;
+}
+
+// Verifies the ECDSA signature of a raw SSV query string (everything after '?').
+// The signed content is the query up to, but excluding, '&signature='.
+async function verifySignature(rawQuery) {
+    const sigIndex = rawQuery.indexOf('&signature=');
+    if (sigIndex === -1) return false;
+
+    const message = rawQuery.substring(0, sigIndex);
+    const params = new URLSearchParams(rawQuery);
+    const signature = params.get('signature');
+    const keyId = params.get('key_id');
+    if (!signature || !keyId) return false;
+
+    let keys = await getVerifierKeys();
+    if (!keys[keyId]) {
+        // Google rotates keys; refetch once before giving up.
+        keys = await getVerifierKeys(true);
+        if (!keys[keyId]) return false;
+    }
+
+    try {
+        return crypto.verify(
+            'sha256',
+            Buffer.from(message),
+            { key: keys[keyId], dsaEncoding: 'der' },
+            Buffer.from(signature, 'base64url')
+        );
+    } catch (e) {
+        console.error("[AdReward] Signature check error:", e.message);
+        return false;
+    }
+}
+
+// Handles an SSV callback. Returns { success, status, error? }.
+// Repeated callbacks for the same transaction are acknowledged without a second reward.
+async function handleCallback(rawQuery) {
+    if (!rawQuery || !(await verifySignature(rawQuery))) {
+        return { success: false, status: 403, error: "Invalid signature" };
+    }
+
+    const params = new URLSearchParams(rawQuery);
+    const transactionId = params.get('transaction_id');
+    const deviceId = params.get('user_id');
+    if (!transactionId || !deviceId) {
+        return { success: false, status: 400, error: "Missing transaction_id or user_id" };
+    }
+
+    const db = getStore();
+    const rewardRef = db.collection('ad_rewards').doc(transactionId);
+    const created = await db.runTransaction(async (t) => {
+        const doc = await t.get(rewardRef);
+        if (doc.exists) return false;
+
+        t.set(rewardRef, {
+            deviceId: deviceId,
+            rewardToken: params.get('custom_data') || transactionId,
+            adUnit: params.get('ad_unit'),
+            rewardAmount: Number(params.get('reward_amount') || 1),
+            rewardItem: params.get('reward_item'),
+            status: 'verified',
+            verifiedAt: new Date().toISOString(),
+            adTimestamp: params.get('timestamp')
+        });
+        return true;
+    });
+
+    console.log(`[AdReward] ${created ? 'Verified' : 'Duplicate'} transaction ${transactionId} for ${deviceId}`);
+    return { success: true, status: 200, duplicate: !created };
+}
+
+// Marks a verified reward as used, inside the caller's transaction.
+// Enforces the per-device daily cap. Throws on any rejection.
+// Callers must finish all their own t.get() calls before invoking this, and like the rest of the
+// callback it writes only through `t` (the file store throws on other writes from inside it).
+async function consumeInTransaction(t, deviceId, rewardToken, usedFor) {
+    const db = getStore();
+    if (!rewardToken || typeof rewardToken !== 'string') {
+        throw new Error("Reward not verified");
+    }
+
+    const matches = await t.get(db.collection('ad_rewards').where('rewardToken', '==', rewardToken).limit(1));
+    const rewardDoc = matches.docs[0];
+    if (!rewardDoc || rewardDoc.data().deviceId !== deviceId) {
+        throw new Error("Reward not verified");
+    }
+    if (rewardDoc.data().status !== 'verified') {
+        throw new Error("Reward already used");
+    }
+
+    const today = getTodayStr();
+    const counterRef = db.collection('ad_reward_claims').doc(`${deviceId}_${today}`);
+    const counter = await t.get(counterRef);
+    const claimed = counter.exists ? counter.data().count : 0;
+    if (claimed >= DAILY_REWARD_CAP) {
+        throw new Error("Daily reward limit reached");
+    }
+
+    t.update(rewardDoc.ref, {
+        status: 'consumed',
+        consumedAt: new Date().toISOString(),
+        usedFor: usedFor
+    });
+    t.set(counterRef, { deviceId, date: today, count: claimed + 1 });
+    return rewardDoc.id;
+}
+
+// Consumes a reward on its own. Returns { success, transactionId } or { success: false, error }.
+async function consumeReward(deviceId, rewardToken, usedFor) {
+    try {
+        const transactionId = await getStore().runTransaction(t => consumeInTransaction(t, deviceId, rewardToken, usedFor));
+        return { success: true, transactionId };
+    } catch (e) {
+        console.log(`[AdReward] Rejected reward for ${deviceId}: ${e.message}`);
+        return { success: false, error: e.message };
+    }
+}
+
+// Gives back a reward whose generation failed, so the user can retry with it.
+async function releaseReward(transactionId) {
+    const db = getStore();
+    const rewardRef = db.collection('ad_rewards').doc(transactionId);
+    try {
+        await db.runTransaction(async (t) => {
+            const doc = await t.get(rewardRef);
+            if (!doc.exists || doc.data().status !== 'consumed') return;
+
+            const { deviceId } = doc.data();
+            const counterRef = db.collection('ad_reward_claims').doc(`${deviceId}_${getTodayStr()}`);
+            const counter = await t.get(counterRef);
+
+            t.update(rewardRef, { status: 'verified', consumedAt: null, usedFor: null });
+            if (counter.exists && counter.data().count > 0) {
+                t.update(counterRef, { count: counter.data().count - 1 });
+            }
+        });
+    } catch (e) {
+        console.error("[AdReward] Release failed:", e);
+    }
+}
+
+module.exports = {
+    handleCallback,
+    consumeInTransaction,
+    consumeReward,
+    releaseReward
+};
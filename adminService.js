@@ -0,0 +1,285 @@
+const { getStore } = require('./storage');
+const limitService = require('./limitService');
+const accountService = require('./accountService');
+const promoService = require('./promoService');
+const creditLedger = require('./creditLedger');
+
+// Support tooling behind /api/admin: user lookup, premium grants and quota fixes.
+//
+// Every admin action (reads included) is appended to the `admin_audit` collection
+// with the acting admin, the target and the reason. Audit entries are only ever
+// added, never updated or deleted; in Firestore, security rules should deny all
+// client access to the collection.
+
+const MAX_PAGE_SIZE = 100;
+
+function pageSize(limit, fallback = 20) {
+    return Math.min(Math.max(Number(limit) || fallback, 1), MAX_PAGE_SIZE);
+}
+
+function missingReason(reason) {
+    return !reason || !String(reason).trim();
+}
+
+async function audit(actor, action, target, { reason = null, details = null, success = true } = {}) {
+    try {
+        await getStore().collection('admin_audit').add({
+            action,
+            actor: { uid: actor.uid, email: actor.email || null },
+            target: {
+                deviceId: target.deviceId || null,
+                uid: target.uid || null,
+                query: target.query || null
+            },
+            reason: reason ? String(reason).trim() : null,
+            details,
+            success,
+            createdAt: new Date().toISOString()
+        });
+    } catch (e) {
+        // The action already happened; make sure the failure is visible in the logs.
+        console.error(`[Admin] Failed to write audit entry for ${action} by ${actor.uid}:`, e);
+    }
+}
+
+async function readDoc(collection, id) {
+    if (!id) return null;
+    const doc = await getStore().collection(collection).doc(id).get();
+    return doc.exists ? doc.data() : null;
+}
+
+// Everything we know about one device: users, premium_users, the linked account and its orders.
+async function getUserRecords(deviceId) {
+    const db = getStore();
+    const user = await readDoc('users', deviceId);
+    const premium = await readDoc('premium_users', deviceId);
+    const account = await readDoc('accounts', user && user.accountUid);
+    const orders = await db.collection('orders').where('deviceId', '==', deviceId).get();
+
+    return {
+        deviceId,
+        user,
+        premium,
+        account,
+        orders: orders.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    };
+}
+
+// Matches on deviceId, or on email / phone in premium_users, users (legacy purchases) and accounts.
+// Phone numbers are matched exactly as stored.
+async function findDeviceIds({ deviceId, email, phone }) {
+    const db = getStore();
+    const deviceIds = new Set();
+    if (deviceId) deviceIds.add(deviceId);
+
+    const lookups = [];
+    if (email) {
+        const emails = [...new Set([String(email).trim(), String(email).trim().toLowerCase()])];
+        for (const value of emails) lookups.push(['email', value]);
+    }
+    if (phone) lookups.push(['phone', String(phone).trim()]);
+
+    for (const [field, value] of lookups) {
+        for (const collection of ['premium_users', 'users']) {
+            const snapshot = await db.collection(collection).where(field, '==', value).get();
+            snapshot.docs.forEach(doc => deviceIds.add(doc.id));
+        }
+        const accounts = await db.collection('accounts').where(field, '==', value).get();
+        for (const doc of accounts.docs) {
+            Object.keys(doc.data().devices || {}).forEach(id => deviceIds.add(id));
+        }
+    }
+    return [...deviceIds];
+}
+
+async function lookupUsers(actor, query) {
+    const { deviceId, email, phone } = query;
+    if (!deviceId && !email && !phone) {
+        return { success: false, status: 400, error: "Provide deviceId, email or phone" };
+    }
+
+    const deviceIds = await findDeviceIds({ deviceId, email, phone });
+    const users = [];
+    for (const id of deviceIds) {
+        const records = await getUserRecords(id);
+        if (records.user || records.premium || records.orders.length) users.push(records);
+    }
+
+    await audit(actor, 'lookup_users', { query: { deviceId: deviceId || null, email: email || null, phone: phone || null } }, {
+        details: { matches: users.map(u => u.deviceId) }
+    });
+    return { success: true, users };
+}
+
+// Grants or extends premium. Extends from the current expiry if it hasn't lapsed, and a `plan`
+// below the tier already held only applies once the higher tier ends (see upgradeUser).
+async function grantPremium(actor, deviceId, { days, plan, uid, reason }) {
+    const target = { deviceId, uid };
+    days = Number(days);
+    if (missingReason(reason)) return { success: false, status: 400, error: "A reason is required" };
+    if (!Number.isInteger(days) || days <= 0) {
+        return { success: false, status: 400, error: "days must be a positive integer" };
+    }
+
+    const before = await readDoc(uid ? 'accounts' : 'users', uid || deviceId);
+    const upgraded = await limitService.upgradeUser(deviceId, days, {
+        uid: uid || null,
+        plan: plan || undefined,
+        source: 'admin'
+    });
+    const after = await readDoc(uid ? 'accounts' : 'users', uid || deviceId);
+
+    await audit(actor, 'grant_premium', target, {
+        reason,
+        success: upgraded,
+        details: {
+            days,
+            plan: plan || null,
+            expiryBefore: (before && before.subscriptionExpiry) || null,
+            expiryAfter: (after && after.subscriptionExpiry) || null
+        }
+    });
+    if (!upgraded) return { success: false, status: 500, error: "Upgrade failed" };
+    return { success: true, expiryDate: after.subscriptionExpiry };
+}
+
+async function revokePremium(actor, deviceId, { uid, reason }) {
+    const target = { deviceId, uid };
+    if (missingReason(reason)) return { success: false, status: 400, error: "A reason is required" };
+
+    const before = await readDoc(uid ? 'accounts' : 'users', uid || deviceId);
+    const downgraded = await limitService.downgradeUser(deviceId, { uid: uid || null, reason: 'admin_revoke' });
+
+    await audit(actor, 'revoke_premium', target, {
+        reason,
+        success: downgraded,
+        details: { expiryBefore: (before && before.subscriptionExpiry) || null }
+    });
+    if (!downgraded) return { success: false, status: 500, error: "Downgrade failed" };
+    return { success: true };
+}
+
+// Quota fixes on users/{deviceId}, or on accounts/{uid} when uid is given:
+//   resetCount     - restore the full daily allowance (the day is re-started on the next request)
+//   count          - set the credit balance directly
+//   credits        - add (or, when negative, take away) credits
+//   resetHasRated  - allow the rating reward again
+// Balance changes are admin_adjustment entries in the credit ledger.
+async function adjustQuota(actor, deviceId, { uid, count, credits, resetCount, resetHasRated, reason }) {
+    const target = { deviceId, uid };
+    if (missingReason(reason)) return { success: false, status: 400, error: "A reason is required" };
+
+    const changes = {};
+    if (resetCount) changes.date = null;
+    if (count !== undefined && count !== null) {
+        if (!Number.isInteger(count) || count < 0) {
+            return { success: false, status: 400, error: "count must be a non-negative integer" };
+        }
+        changes.count = count;
+    }
+    if (credits !== undefined && credits !== null) {
+        if (!Number.isInteger(credits) || credits === 0 || changes.count !== undefined) {
+            return { success: false, status: 400, error: "credits must be a non-zero integer (and not combined with count)" };
+        }
+        changes.credits = credits;
+    }
+    if (resetHasRated) changes.hasRated = false;
+    if (!Object.keys(changes).length) {
+        return { success: false, status: 400, error: "Nothing to change" };
+    }
+
+    const db = getStore();
+    const ref = uid ? accountService.accountRef(uid) : db.collection('users').doc(deviceId);
+    const owner = creditLedger.ownerKey(deviceId, uid ? { uid } : null);
+    const before = await db.runTransaction(async (t) => {
+        const doc = await t.get(ref);
+        if (!doc.exists) return null;
+        const data = doc.data();
+
+        const { count: newCount, credits: delta, ...fields } = changes;
+        const amount = newCount !== undefined ? newCount - (data.count || 0) : Math.max(delta || 0, -(data.count || 0));
+        if (amount !== 0) {
+            Object.assign(fields, creditLedger.appendInTransaction(t, owner, data, [
+                { type: 'admin_adjustment', amount, details: { actor: actor.uid, reason: String(reason).trim() } }
+            ]));
+        }
+        if (Object.keys(fields).length) t.update(ref, fields);
+        return data;
+    });
+    if (!before) return { success: false, status: 404, error: uid ? "Account not found" : "Device not found" };
+
+    await audit(actor, 'adjust_quota', target, {
+        reason,
+        details: {
+            changes,
+            before: { date: before.date || null, count: before.count, hasRated: before.hasRated || false }
+        }
+    });
+    console.log(`[Admin] ${actor.uid} adjusted quota of ${uid ? `account ${uid}` : deviceId}: ${JSON.stringify(changes)}`);
+    return { success: true };
+}
+
+// Newest first, optionally for one device.
+async function listOrders(actor, { limit, deviceId } = {}) {
+    let query = getStore().collection('orders');
+    if (deviceId) query = query.where('deviceId', '==', deviceId);
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(pageSize(limit)).get();
+
+    await audit(actor, 'list_orders', { deviceId });
+    return { success: true, orders: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) };
+}
+
+async function listAuditLog({ limit, deviceId } = {}) {
+    let query = getStore().collection('admin_audit');
+    if (deviceId) query = query.where('target.deviceId', '==', deviceId);
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(pageSize(limit, 50)).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+// IPs flagged by the rate limiter (see rateLimiter.js), newest first.
+async function listAbuseFlags({ limit } = {}) {
+    const snapshot = await getStore().collection('abuse_flags').orderBy('createdAt', 'desc').limit(pageSize(limit, 50)).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+// Creates a promo code (see promoService for the fields).
+async function createPromoCode(actor, fields) {
+    if (missingReason(fields.reason)) return { success: false, status: 400, error: "A reason is required" };
+
+    const result = await promoService.createCode(fields, actor.uid);
+    await audit(actor, 'create_promo_code', {}, {
+        reason: fields.reason,
+        success: result.success,
+        details: result.success ? result.promo : { error: result.error }
+    });
+    return result;
+}
+
+async function deactivatePromoCode(actor, code, { reason } = {}) {
+    if (missingReason(reason)) return { success: false, status: 400, error: "A reason is required" };
+
+    const result = await promoService.deactivateCode(code);
+    await audit(actor, 'deactivate_promo_code', {}, { reason, success: result.success, details: { code } });
+    return result;
+}
+
+async function listPromoCodes(actor, { limit } = {}) {
+    const codes = await promoService.listCodes({ limit: pageSize(limit, 50) });
+    await audit(actor, 'list_promo_codes', {});
+    return { success: true, codes };
+}
+
+module.exports = {
+    audit,
+    getUserRecords,
+    lookupUsers,
+    grantPremium,
+    revokePremium,
+    adjustQuota,
+    listOrders,
+    listAuditLog,
+    listAbuseFlags,
+    createPromoCode,
+    deactivatePromoCode,
+    listPromoCodes
+};
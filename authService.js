@@ -0,0 +1,138 @@
+const { admin, initFirebase } = require('./firebase');
+
+// Firebase Auth ID-token verification for requests.
+//
+// Clients send `Authorization: Bearer <Firebase ID token>`. The verified user is
+// attached as req.user = { uid, email, phone }. AUTH_VERIFIER=stub swaps in a
+// local verifier (no Firebase needed) that accepts tokens of the form
+// "stub:<uid>[:<email>[:<phone>]]".
+//
+// Admins are users with the `admin: true` custom claim or a UID listed in ADMIN_UIDS.
+
+class FirebaseTokenVerifier {
+    async verify(idToken) {
+        if (!initFirebase()) {
+            throw new Error("Firebase is not configured");
+        }
+        const decoded = await admin.auth().verifyIdToken(idToken);
+        return {
+            uid: decoded.uid,
+            email: decoded.email_verified ? decoded.email : null,
+            phone: decoded.phone_number || null,
+            admin: decoded.admin === true
+        };
+    }
+}
+
+class StubTokenVerifier {
+    async verify(idToken) {
+        const [prefix, uid, email, phone] = idToken.split(':');
+        if (prefix !== 'stub' || !uid) {
+            throw new Error("Invalid stub token");
+        }
+        return { uid, email: email || null, phone: phone || null };
+    }
+}
+
+let verifier = null;
+
+function getTokenVerifier() {
+    if (!verifier) {
+        if (process.env.AUTH_VERIFIER === 'stub') {
+            console.warn("[Auth] Using stub token verifier. ID tokens are NOT checked.");
+            verifier = new StubTokenVerifier();
+        } else {
+            verifier = new FirebaseTokenVerifier();
+        }
+    }
+    return verifier;
+}
+
+function setTokenVerifier(newVerifier) {
+    verifier = newVerifier;
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+// Verifies the bearer token if one is sent. Anonymous requests pass through
+// with req.user = null; a bad token is rejected.
+async function authenticate(req, res, next) {
+    req.user = null;
+    const idToken = getBearerToken(req);
+    if (!idToken) return next();
+
+    try {
+        req.user = await getTokenVerifier().verify(idToken);
+        next();
+    } catch (e) {
+        console.log(`[Auth] Rejected token: ${e.message}`);
+        res.status(401).json({ error: "Invalid or expired auth token" });
+    }
+}
+
+// Like authenticate, but the request must carry a valid token.
+async function requireAuth(req, res, next) {
+    await authenticate(req, res, () => {
+        if (!req.user) {
+            return res.status(401).json({ error: "Authentication required" });
+        }
+        next();
+    });
+}
+
+function isAdmin(user) {
+    if (!user) return false;
+    const adminUids = (process.env.ADMIN_UIDS || '').split(',').map(s => s.trim()).filter(Boolean);
+    return user.admin === true || adminUids.includes(user.uid);
+}
+
+// Like requireAuth, but the user must also be an admin.
+async function requireAdmin(req, res, next) {
+    await requireAuth(req, res, () => {
+        if (!isAdmin(req.user)) {
+            console.log(`[Auth] Non-admin ${req.user.uid} denied ${req.method} ${req.path}`);
+            return res.status(403).json({ error: "Admin access required" });
+        }
+        next();
+    });
+}
+
+// Phone numbers without a country code ("98765 43210", "098765 43210") are taken to be from here
+const DEFAULT_PHONE_COUNTRY_CODE = process.env.PHONE_DEFAULT_COUNTRY_CODE || '91';
+
+// The number in E.164 ("+919876543210"), or null if it can't be one.
+function toE164(value) {
+    const raw = String(value || '').trim();
+    let digits = raw.replace(/\D/g, '');
+    if (!raw.startsWith('+')) {
+        if (digits.startsWith('00')) {
+            digits = digits.slice(2);
+        } else if (digits.length === 10 || (digits.length === 11 && digits.startsWith('0'))) {
+            digits = DEFAULT_PHONE_COUNTRY_CODE + digits.replace(/^0/, '');
+        }
+    }
+    if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) return null;
+    return `+${digits}`;
+}
+
+// Compares phone numbers in E.164, country code included, so "+91 98765 43210" matches
+// "9876543210" (a local number) but not "+1 987 654 3210".
+function samePhone(a, b) {
+    const phone = toE164(a);
+    return !!phone && phone === toE164(b);
+}
+
+module.exports = {
+    authenticate,
+    requireAuth,
+    requireAdmin,
+    isAdmin,
+    getTokenVerifier,
+    setTokenVerifier,
+    FirebaseTokenVerifier,
+    StubTokenVerifier,
+    samePhone
+};
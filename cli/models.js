@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// Model discovery and health checks, built on the same provider layer as /api/generate.
+//
+//   npm run models -- list [provider]   List models the provider can generate with (default: gemini)
+//   npm run models -- test [category]   Send a short prompt to every model in the category's chain
+require('dotenv').config();
+const { getProvider } = require('../providers');
+const llmService = require('../llmService');
+
+async function list(providerName = 'gemini') {
+    const models = await llmService.listModels(providerName);
+    console.log(`--- AVAILABLE MODELS (${providerName}) ---`);
+    models.forEach(m => console.log(`- ${m.name}${m.displayName ? ` (${m.displayName})` : ''}`));
+}
+
+async function test(category) {
+    const chain = llmService.getModelChain(category);
+    console.log(`--- MODEL CHAIN${category ? ` (${category})` : ''} ---`);
+
+    for (const { provider, model } of chain) {
+        const started = Date.now();
+        try {
+            const result = await getProvider(provider).generate({
+                model,
+                parts: [{ text: 'Reply with the single word: OK' }]
+            });
+            console.log(`OK    ${provider}:${model} ${Date.now() - started}ms -> ${result.text.trim().slice(0, 40)}`);
+        } catch (e) {
+            console.log(`FAIL  ${provider}:${model} ${Date.now() - started}ms -> ${e.status || ''} ${e.message}`);
+        }
+    }
+}
+
+const [command, arg] = process.argv.slice(2);
+const commands = { list, test };
+
+if (!commands[command]) {
+    console.error("Usage: node cli/models.js <list [provider] | test [category]>");
+    process.exit(1);
+}
+
+commands[command](arg).catch(e => {
+    console.error("Error:", e.message);
+    process.exit(1);
+});
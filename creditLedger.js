@@ -0,0 +1,95 @@
+const { getStore } = require('./storage');
+
+// Append-only ledger of credit events, kept in the `credit_ledger` collection.
+//
+// Every change to a user's credits is an entry { owner, seq, type, amount, balanceAfter,
+// details, createdAt }, written in the same transaction as the quota document it belongs
+// to. The quota document's `count` is the balance after its newest entry and `ledgerSeq`
+// the number of entries, so `count` is only ever moved together with an entry.
+// Entries are never updated or deleted; corrections are new entries (admin_adjustment, refund).
+// (Firestore needs a composite index on owner + seq.)
+//
+// The owner is the quota document: 'account:{uid}' for signed-in users, 'device:{deviceId}' otherwise.
+
+const TYPES = [
+    'opening_balance',  // the balance of a quota document from before the ledger
+    'daily_grant',      // the tier's daily credits
+    'daily_expire',     // unused daily credits at the reset (earned credits carry over)
+    'tier_change',      // the daily allowance changed with the plan during the day
+    'generation',       // a generation (reserved before the model call)
+    'refinement',       // a session follow-up
+    'refund',           // a generation that failed after it was charged
+    'ad_reward',
+    'rate_reward',
+    'promo',
+    'referral',
+    'admin_adjustment'
+];
+
+const MAX_PAGE_SIZE = 50;
+
+function ownerKey(deviceId, user = null) {
+    return user ? `account:${user.uid}` : `device:${deviceId}`;
+}
+
+// Appends `entries` ({ type, amount, details }) after the quota document `data`.
+// Returns the { count, ledgerSeq } fields the caller must write on that document in the
+// same transaction. Callers must finish all their own t.get() calls before invoking this.
+function appendInTransaction(t, owner, data, entries) {
+    const collection = getStore().collection('credit_ledger');
+    const now = new Date().toISOString();
+    let balance = data.count || 0;
+    let seq = data.ledgerSeq || 0;
+
+    // Quota documents from before the ledger start with their balance as it was
+    if (data.ledgerSeq === undefined && balance !== 0) {
+        entries = [{ type: 'opening_balance', amount: balance }, ...entries];
+        balance = 0;
+    }
+
+    for (const entry of entries) {
+        if (!TYPES.includes(entry.type)) throw new Error(`Unknown credit entry type: ${entry.type}`);
+        balance += entry.amount;
+        seq++;
+        t.set(collection.doc(`${owner}:${String(seq).padStart(8, '0')}`), {
+            owner,
+            seq,
+            type: entry.type,
+            amount: entry.amount,
+            balanceAfter: balance,
+            details: entry.details || null,
+            createdAt: now
+        });
+    }
+    return { count: balance, ledgerSeq: seq };
+}
+
+// Newest first.
+async function activity(owner, { limit = 20, offset = 0 } = {}) {
+    const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(Number(offset) || 0, 0);
+    const snapshot = await getStore().collection('credit_ledger')
+        .where('owner', '==', owner)
+        .orderBy('seq', 'desc')
+        .offset(skip)
+        .limit(pageSize)
+        .get();
+    return snapshot.docs.map(doc => {
+        const { owner: _, ...entry } = doc.data();
+        return { id: doc.id, ...entry };
+    });
+}
+
+// The balance as the sum of every entry, for checking a quota document against its ledger.
+async function sumEntries(owner) {
+    const snapshot = await getStore().collection('credit_ledger').where('owner', '==', owner).get();
+    return snapshot.docs.reduce((sum, doc) => sum + doc.data().amount, 0);
+}
+
+module.exports = {
+    TYPES,
+    ownerKey,
+    appendInTransaction,
+    activity,
+    sumEntries
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+
+// Device secrets: proof that a request comes from the device it names.
+//
+// Device IDs aren't secret (some are Android build IDs that many phones share), so requests
+// that read or change a device's content without signing in, or that link a device to an
+// account, must also send the device's secret in the X-Device-Secret header. The app creates
+// a random secret once and keeps it. The first secret a device sends is registered (its
+// SHA-256 as users/{deviceId}.secretHash); every later request for that device must send the same one.
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_SECRET_LENGTH = 256;
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function sameHash(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Returns { success } or { success: false, status, error }.
+async function verifySecret(deviceId, secret) {
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH || secret.length > MAX_SECRET_LENGTH) {
+        return { success: false, status: 401, error: "Device secret required" };
+    }
+
+    const db = getStore();
+    const ref = db.collection('users').doc(deviceId);
+    const hash = hashSecret(secret);
+    const doc = await ref.get();
+    let matches;
+    if (doc.exists && doc.data().secretHash) {
+        matches = sameHash(doc.data().secretHash, hash);
+    } else {
+        // First secret for this device: register it, unless another request just did
+        matches = await db.runTransaction(async (t) => {
+            const current = await t.get(ref);
+            const stored = current.exists ? current.data().secretHash : null;
+            if (stored) return sameHash(stored, hash);
+            t.set(ref, { secretHash: hash, secretRegisteredAt: new Date().toISOString() }, { merge: true });
+            console.log(`[Device] Registered secret for ${deviceId}`);
+            return true;
+        });
+    }
+
+    if (!matches) {
+        console.log(`[Device] Secret mismatch for ${deviceId}`);
+        return { success: false, status: 403, error: "Device secret does not match" };
+    }
+    return { success: true };
+}
+
+function requestDeviceId(req) {
+    return req.params.deviceId || req.body?.deviceId || req.query.deviceId;
+}
+
+async function checkRequest(req, res, next) {
+    const deviceId = requestDeviceId(req);
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+
+    try {
+        const result = await verifySecret(deviceId, req.get('X-Device-Secret'));
+        if (!result.success) return res.status(result.status).json({ error: result.error });
+    } catch (e) {
+        console.error("[Device] Could not verify secret:", e);
+        return res.status(500).json({ error: "Database Error" });
+    }
+    next();
+}
+
+// Middleware (after authService.authenticate) for a device's own content: signed-in users pass,
+// since their content is scoped to their account; anonymous requests must send the device's secret.
+function requireDeviceOrUser(req, res, next) {
+    if (req.user) return next();
+    return checkRequest(req, res, next);
+}
+
+// Middleware (after authService.authenticate) for routes that link the device to the signed-in
+// user's account (directly, through a premium claim or a purchase): a signed-in request must
+// also prove it is made from that device.
+function requireDeviceWhenSignedIn(req, res, next) {
+    if (!req.user) return next();
+    return checkRequest(req, res, next);
+}
+
+module.exports = {
+    verifySecret,
+    requireDeviceOrUser,
+    requireDeviceWhenSignedIn
+};
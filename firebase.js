@@ -0,0 +1,65 @@
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+
+let initialized = false;
+
+function loadServiceAccount() {
+    // Check if key exists locally (Development)
+    const localKey = path.join(__dirname, 'serviceAccountKey.json');
+    if (fs.existsSync(localKey)) {
+        return require(localKey);
+    }
+
+    if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+        // Production (Render Env Var)
+        // Check if it's base64 or raw JSON
+        const rawKey = process.env.FIREBASE_SERVICE_ACCOUNT;
+        if (rawKey.trim().startsWith('{')) {
+            return JSON.parse(rawKey);
+        }
+        // Assume Base64
+        const buffer = Buffer.from(rawKey, 'base64');
+        return JSON.parse(buffer.toString('utf8'));
+    }
+
+    return null;
+}
+
+// Initialize Firebase once. Returns false when no service account is available.
+function initFirebase() {
+    if (initialized) return true;
+    if (admin.apps.length) {
+        initialized = true;
+        return true;
+    }
+
+    try {
+        const serviceAccount = loadServiceAccount();
+        if (!serviceAccount) {
+            console.error("Firebase Service Account Key NOT FOUND.");
+            return false;
+        }
+
+        admin.initializeApp({
+            credential: admin.credential.cert(serviceAccount)
+        });
+        console.log("Firebase Admin Initialized Successfully");
+        initialized = true;
+        return true;
+    } catch (e) {
+        console.error("Firebase Init Error:", e);
+        return false;
+    }
+}
+
+function isFirebaseConfigured() {
+    return admin.apps.length > 0 || fs.existsSync(path.join(__dirname, 'serviceAccountKey.json')) || !!process.env.FIREBASE_SERVICE_ACCOUNT;
+}
+
+module.exports = {
+    admin,
+    loadServiceAccount,
+    initFirebase,
+    isFirebaseConfigured
+};
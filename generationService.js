@@ -0,0 +1,523 @@
+const fs = require('fs');
+const limitService = require('./limitService');
+const adRewardService = require('./adRewardService');
+const templateRegistry = require('./templateRegistry');
+const historyService = require('./historyService');
+const moderationService = require('./moderationService');
+const uploadService = require('./uploadService');
+const llmService = require('./llmService');
+const structuredOutput = require('./structuredOutput');
+const responseCache = require('./responseCache');
+const referralService = require('./referralService');
+
+// The generation pipeline shared by /api/generate, /api/generate/stream, /api/generate/batch and
+// history regeneration: validate -> moderate -> check quota and charge -> call model -> moderate -> record.
+// Credits are reserved when the request is accepted; refund() gives them back if the generation fails.
+
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS || 5);
+// Model calls in flight at once per batch
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY || 2);
+
+// Validates a generation request, checks quota / ad reward and charges the credits.
+// Returns { ctx } on success or { status, body } describing the error response.
+// `user` is the verified Firebase user from authService, or null; `timezone` is the
+// user's IANA timezone for the daily reset; `files` are the request's uploads (uploadService).
+// `noCache` skips the response cache (regenerate / "give me a different answer").
+// `outputLanguage` is the language to answer in (see templateRegistry.resolveOutputLanguage).
+async function prepare({ deviceId, category, inputs, adRewardToken, user = null, files = [], timezone = null, noCache = false, outputLanguage = null }) {
+    // Parse inputs if it comes as a string (from Multipart)
+    if (typeof inputs === 'string') {
+        try {
+            inputs = JSON.parse(inputs);
+        } catch (e) {
+            console.error("Failed to parse inputs JSON:", e);
+        }
+    }
+
+    const missing = Object.entries({ deviceId, category, inputs })
+        .filter(([, value]) => !value)
+        .map(([field]) => ({ field, message: 'is required' }));
+    if (missing.length) {
+        return { status: 400, body: { error: "Missing required fields", fields: missing } };
+    }
+
+    const language = checkOutputLanguage(outputLanguage);
+    if (language.error) return language.error;
+
+    const template = await templateRegistry.getTemplate(category);
+    const validation = templateRegistry.validateInputs(template, inputs);
+    if (!validation.valid) {
+        return { status: 400, body: { error: "Invalid inputs", fields: validation.errors } };
+    }
+    inputs = validation.inputs;
+
+    const rules = templateRegistry.attachmentRules(template);
+    if (files.length > rules.maxFiles) {
+        const message = rules.maxFiles ? `at most ${rules.maxFiles} file(s) for this category` : 'are not accepted for this category';
+        return { status: 400, body: { error: "Too many files", fields: [{ field: 'files', message }] } };
+    }
+    for (const file of files) {
+        const rejected = uploadService.validateFile(file, { kinds: rules.kinds });
+        if (rejected) return rejected;
+        if (file.kind === 'text') file.text = uploadService.readText(file);
+    }
+
+    // Blocked before any quota or ad reward is touched
+    const attachmentTexts = files.filter(f => f.kind === 'text').map(f => f.text);
+    const moderation = await moderationService.checkInputs({ ...inputs, ...attachmentTexts });
+    if (!moderation.allowed) {
+        return {
+            status: 422,
+            body: { error: "This request is not allowed", code: 'content_blocked', categories: moderation.categories }
+        };
+    }
+
+    // Check Limit (credit cost and daily limit depend on the category)
+    const limitStatus = await limitService.getLimitStatus(deviceId, user, { category: template.id, timezone });
+    if (limitStatus.error) return { status: 500, body: { error: limitStatus.error } };
+
+    // The plan decides how big each file may be
+    const maxUploadBytes = limitStatus.quota && limitStatus.quota.maxUploadBytes;
+    for (const file of maxUploadBytes ? files : []) {
+        const rejected = uploadService.validateFile(file, { kinds: rules.kinds, maxBytes: maxUploadBytes });
+        if (rejected) return rejected;
+    }
+
+    // An ad reward (verified via AdMob SSV) pays for this generation instead of the daily quota.
+    let adRewardId = null;
+    if (adRewardToken) {
+        const reward = await adRewardService.consumeReward(deviceId, adRewardToken, 'generate');
+        if (!reward.success) {
+            return { status: 403, body: { error: reward.error } };
+        }
+        adRewardId = reward.transactionId;
+        console.log(`[Generate] Bypassing limit for device ${deviceId} due to Ad Reward.`);
+    } else if (!limitStatus.allowed) {
+        return limitExceeded(limitStatus);
+    }
+
+    for (const file of files.filter(f => f.kind === 'image')) {
+        await uploadService.optimizeImage(file);
+    }
+
+    // Reserve the credits now, so concurrent requests can't spend the same balance
+    let charge = null;
+    if (!adRewardId) {
+        const charged = await limitService.decrementLimit(deviceId, user, { category: template.id });
+        if (!charged.success) {
+            if (!charged.insufficient) return { status: 500, body: { error: "Database Error" } };
+            return limitExceeded({ ...limitStatus, blockedBy: limitStatus.blockedBy || 'daily' });
+        }
+        charge = charged.charge;
+    }
+
+    return {
+        ctx: {
+            deviceId,
+            user,
+            category: template.id,
+            template,
+            inputs,
+            adRewardId,
+            charge,
+            timezone,
+            quotaBefore: limitStatus.remaining,
+            isPremium: limitStatus.isPremium || false,
+            files,
+            noCache,
+            outputLanguage: language.code
+        }
+    };
+}
+
+// { code } for a supported (or absent) output language, { error } with the 400 response otherwise.
+function checkOutputLanguage(outputLanguage) {
+    if (outputLanguage === undefined || outputLanguage === null || outputLanguage === '') return { code: null };
+    const code = templateRegistry.resolveOutputLanguage(outputLanguage);
+    if (code) return { code };
+    return {
+        error: { status: 400, body: { error: "Invalid inputs", fields: [{ field: 'outputLanguage', message: 'is not a supported language' }] } }
+    };
+}
+
+// Validates a batch: `inputs` is a list of input sets, or one input set plus `variants`
+// (how many different versions of it to write). Every item is validated and moderated
+// before the whole batch is charged at once; each item's ctx carries its share of the
+// charge, so refund(itemCtx) releases just that item. Attachments and ad rewards aren't
+// supported in batches.
+// Returns { batch: { ...shared ctx fields, items: [ctx] } } or { status, body } like prepare.
+async function prepareBatch({ deviceId, category, inputs, variants, user = null, timezone = null, noCache = false, outputLanguage = null }) {
+    const missing = Object.entries({ deviceId, category, inputs })
+        .filter(([, value]) => !value)
+        .map(([field]) => ({ field, message: 'is required' }));
+    if (missing.length) {
+        return { status: 400, body: { error: "Missing required fields", fields: missing } };
+    }
+    const language = checkOutputLanguage(outputLanguage);
+    if (language.error) return language.error;
+
+    const isVariants = !Array.isArray(inputs);
+    let inputSets = inputs;
+    if (isVariants) {
+        const count = Number(variants);
+        if (!Number.isInteger(count) || count < 1) {
+            return { status: 400, body: { error: "Invalid inputs", fields: [{ field: 'variants', message: 'must be a positive integer' }] } };
+        }
+        inputSets = Array(count).fill(inputs);
+    } else if (variants !== undefined) {
+        return { status: 400, body: { error: "Invalid inputs", fields: [{ field: 'variants', message: 'only applies to a single input set' }] } };
+    }
+    if (!inputSets.length || inputSets.length > BATCH_MAX_ITEMS) {
+        const message = `must have between 1 and ${BATCH_MAX_ITEMS} items`;
+        return { status: 400, body: { error: "Invalid inputs", fields: [{ field: isVariants ? 'variants' : 'inputs', message }] } };
+    }
+
+    const template = await templateRegistry.getTemplate(category);
+    const validated = [];
+    for (const [index, set] of inputSets.entries()) {
+        const validation = templateRegistry.validateInputs(template, set);
+        if (!validation.valid) {
+            return { status: 400, body: { error: "Invalid inputs", index, fields: validation.errors } };
+        }
+        validated.push(validation.inputs);
+    }
+
+    // Variants share one input set, so it only needs checking once
+    for (const index of isVariants ? [0] : validated.keys()) {
+        const moderation = await moderationService.checkInputs(validated[index]);
+        if (!moderation.allowed) {
+            return {
+                status: 422,
+                body: { error: "This request is not allowed", code: 'content_blocked', index, categories: moderation.categories }
+            };
+        }
+    }
+
+    const limitStatus = await limitService.getLimitStatus(deviceId, user, { category: template.id, timezone });
+    if (limitStatus.error) return { status: 500, body: { error: limitStatus.error } };
+
+    const count = validated.length;
+    const categoryQuota = limitStatus.quota.categories[template.id];
+    const needed = (categoryQuota ? categoryQuota.cost : limitStatus.quota.defaultCost) * count;
+    let blockedBy = limitStatus.blockedBy || null;
+    if (!blockedBy && categoryQuota && categoryQuota.dailyLimit !== null && categoryQuota.usedToday + count > categoryQuota.dailyLimit) {
+        blockedBy = 'category';
+    }
+    if (!blockedBy && limitStatus.remaining < needed) {
+        const monthly = limitStatus.quota.monthly;
+        blockedBy = monthly && monthly.remaining < needed ? 'monthly' : 'daily';
+    }
+
+    const charged = blockedBy ? null : await limitService.decrementLimit(deviceId, user, { category: template.id, count });
+    if (charged && !charged.success && !charged.insufficient) {
+        return { status: 500, body: { error: "Database Error" } };
+    }
+    if (!charged || !charged.success) {
+        const rejected = limitExceeded({ ...limitStatus, blockedBy: blockedBy || 'daily' });
+        return { ...rejected, body: { ...rejected.body, needed, remaining: limitStatus.remaining } };
+    }
+
+    const { charge } = charged;
+    const shared = {
+        deviceId,
+        user,
+        category: template.id,
+        template,
+        adRewardId: null,
+        timezone,
+        quotaBefore: limitStatus.remaining,
+        isPremium: limitStatus.isPremium || false,
+        files: [],
+        outputLanguage: language.code
+    };
+    return {
+        batch: {
+            ...shared,
+            charge,
+            items: validated.map((itemInputs, index) => ({
+                ...shared,
+                inputs: itemInputs,
+                charge: { ...charge, cost: charge.unitCost, count: 1 },
+                // Variants of one input set must not all get the same cached answer
+                noCache: noCache || isVariants,
+                variant: isVariants ? { index: index + 1, total: count } : null
+            }))
+        }
+    };
+}
+
+function limitExceeded(limitStatus) {
+    return {
+        status: 403,
+        body: {
+            error: limitMessage(limitStatus),
+            reason: limitStatus.blockedBy || 'daily',
+            upgrade: !limitStatus.isPremium,
+            quota: limitStatus.quota
+        }
+    };
+}
+
+function limitMessage(status) {
+    if (status.blockedBy === 'category') return "Daily limit reached for this category";
+    if (status.blockedBy === 'monthly') return status.isPremium ? "Monthly fair use limit reached" : "Monthly limit reached";
+    return status.isPremium ? "Daily fair use limit reached" : "Daily limit reached";
+}
+
+// Renders the category prompt and builds the message parts: the prompt, then text
+// attachments as extra (delimited) text parts, then images and PDFs as inline data.
+function buildRequest(ctx) {
+    const files = ctx.files || [];
+    // Construct Prompt from the category template
+    const { systemInstruction, userPrompt } = templateRegistry.renderPrompt(ctx.template, ctx.inputs, {
+        hasImage: files.some(f => f.kind === 'image'),
+        outputLanguage: ctx.outputLanguage
+    });
+
+    let parts = [{ text: userPrompt }];
+    if (ctx.variant) {
+        parts.push({
+            text: `This is version ${ctx.variant.index} of ${ctx.variant.total}. Make it clearly different from the other versions in tone, wording or angle.`
+        });
+    }
+
+    for (const file of files) {
+        if (file.kind === 'text') {
+            const name = String(file.originalname || 'file').replace(/[\r\n"]/g, ' ').slice(0, 100);
+            parts.push({ text: templateRegistry.wrapUserContent(`Attached file "${name}":\n${file.text}`) });
+            continue;
+        }
+        parts.push({
+            inlineData: {
+                data: fs.readFileSync(file.path).toString('base64'),
+                mimeType: file.mimetype,
+            },
+        });
+    }
+
+    const responseSchema = ctx.template.responseSchema ? structuredOutput.toProviderSchema(ctx.template.responseSchema) : undefined;
+    return { category: ctx.category, systemInstruction, parts, responseSchema };
+}
+
+// Calls the model for a prepared generation. Structured categories are validated
+// (with one repair attempt) by ensureStructured.
+// Text-only requests are served from (and stored in) the response cache unless ctx.noCache
+// is set; the result's `cached` flag says whether the model was actually called.
+async function generate(ctx, { signal } = {}) {
+    const callModel = async () => {
+        const request = buildRequest(ctx);
+        const result = await llmService.generate({ ...request, signal });
+        return ensureStructured(ctx, request, result, { signal });
+    };
+
+    if (ctx.noCache || (ctx.files || []).length) {
+        return { ...(await callModel()), cached: false };
+    }
+    const key = responseCache.cacheKey(ctx.template, ctx.inputs, ctx.outputLanguage);
+    const { value, cached } = await responseCache.getOrCompute(key, callModel);
+    if (cached) console.log(`[Generate] ${ctx.category} served from cache`);
+    return { ...value, cached };
+}
+
+function addUsage(a, b) {
+    if (!a || !b) return a || b || null;
+    return {
+        promptTokens: a.promptTokens + b.promptTokens,
+        outputTokens: a.outputTokens + b.outputTokens,
+        totalTokens: a.totalTokens + b.totalTokens
+    };
+}
+
+// For categories with a responseSchema: parses and validates the model's JSON into
+// result.data. Invalid output gets one repair round-trip (the model sees its own answer
+// and the problems); if that fails too, throws a 502 `invalid_output` error.
+async function ensureStructured(ctx, request, result, { signal } = {}) {
+    const schema = ctx.template.responseSchema;
+    if (!schema) return result;
+
+    const first = structuredOutput.parse(schema, result.text);
+    if (first.valid) return { ...result, data: first.value };
+
+    console.log(`[Generate] ${ctx.category} response failed its schema (${first.errors[0]}). Asking for a repair.`);
+    const repair = await llmService.generate({
+        ...request,
+        history: [
+            ...(request.history || []),
+            { role: 'user', parts: request.parts },
+            { role: 'model', parts: [{ text: result.text || '' }] }
+        ],
+        parts: [{ text: structuredOutput.repairPrompt(schema, first.errors) }],
+        signal
+    });
+    const combined = {
+        ...repair,
+        usage: addUsage(result.usage, repair.usage),
+        attempts: (result.attempts || 0) + (repair.attempts || 0)
+    };
+
+    const second = structuredOutput.parse(schema, repair.text);
+    if (second.valid) return { ...combined, data: second.value };
+
+    console.error(`[Generate] ${ctx.category} response still invalid after repair: ${second.errors.join('; ')}`);
+    throw structuredOutput.invalidOutputError(second.errors);
+}
+
+// Shapes the model text into the response fields for the category.
+// Structured responses (`data`, see ensureStructured) are returned field by field, plus a
+// plain-text `prompt`. Otherwise, if the category asked for JSON, try to parse it
+// (Gemini sometimes adds markdown blocks)
+function formatOutput(template, text, data = null) {
+    if (data) {
+        return { ...data, prompt: templateRegistry.renderOutputText(template, data) };
+    }
+    if (!template.jsonOutput) {
+        return { prompt: text };
+    }
+
+    try {
+        // Remove Markdown blocks (```json ... ```)
+        let json = text;
+        const jsonMatch = text.match(/```json\n([\s\S]*?)\n```/) || text.match(/```\n([\s\S]*?)\n```/);
+        if (jsonMatch) {
+            json = jsonMatch[1];
+        }
+        const parsed = JSON.parse(json);
+        return {
+            prompt: parsed.prompt,
+            analysis: parsed.analysis,
+            tip: parsed.tip
+        };
+    } catch (e) {
+        console.error("JSON Parse Error from Gemini:", e);
+        // Fallback -> return raw text as prompt
+        return {
+            prompt: text,
+            analysis: "Auto-Analysis Failed",
+            tip: "Check prompt above"
+        };
+    }
+}
+
+// Records a finished generation in history and returns the response payload.
+// Throws (status 422) if the output is blocked by moderation; the caller's refund()
+// then gives the credits back.
+async function complete(ctx, result) {
+    const moderation = await moderationService.checkOutput(result.text);
+    if (!moderation.allowed) {
+        throw moderationService.blockedError(moderation.categories);
+    }
+
+    if (!result.text) {
+        console.error("[Generate] Empty response text!");
+    }
+
+    // A referred device's first generation credits the referral
+    await referralService.recordGeneration(ctx.deviceId, ctx.user);
+
+    const output = formatOutput(ctx.template, result.text, result.data);
+    const updatedStatus = await limitService.getLimitStatus(ctx.deviceId, ctx.user, { timezone: ctx.timezone });
+
+    const historyId = await historyService.record({
+        deviceId: ctx.deviceId,
+        category: ctx.category,
+        inputs: ctx.inputs,
+        outputLanguage: ctx.outputLanguage || null,
+        output,
+        provider: result.provider,
+        model: result.model,
+        hasImage: (ctx.files || []).some(f => f.kind === 'image'),
+        attachmentCount: (ctx.files || []).length
+    }, { user: ctx.user, isPremium: updatedStatus.isPremium });
+
+    return {
+        success: true,
+        ...output,
+        remaining: updatedStatus.remaining,
+        isPremium: updatedStatus.isPremium || false,
+        cached: result.cached || false,
+        historyId
+    };
+}
+
+// Runs fn(item, index) over `items`, at most `limit` at a time, keeping the order.
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Runs a prepared batch with at most BATCH_CONCURRENCY model calls at a time.
+// Each item ends up as { index, success: true, ...output } or { index, success: false, status, error };
+// failed items are refunded. Returns { body, generations } where `generations` are the
+// model results of the items that succeeded (for the request log).
+async function runBatch(batch, { signal } = {}) {
+    const generations = [];
+    const items = await mapWithConcurrency(batch.items, BATCH_CONCURRENCY, async (ctx, index) => {
+        try {
+            const result = await generate(ctx, { signal });
+            const { success, remaining, isPremium, ...output } = await complete(ctx, result);
+            generations.push(result);
+            return { index, success: true, ...output };
+        } catch (error) {
+            console.error(`[Generate/Batch] Item ${index} failed:`, error.message);
+            await refund(ctx);
+            return {
+                index,
+                success: false,
+                status: error.status || 500,
+                error: error.status ? (error.message || "Provider Error") : "Failed to generate prompt. Try again later.",
+                ...error.body
+            };
+        }
+    });
+
+    const succeeded = items.filter(item => item.success).length;
+    const status = await limitService.getLimitStatus(batch.deviceId, batch.user, { timezone: batch.timezone });
+    console.log(`[Generate/Batch] ${batch.category}: ${succeeded}/${items.length} succeeded for device ${batch.deviceId}`);
+    return {
+        generations,
+        body: {
+            success: succeeded > 0,
+            category: batch.category,
+            items,
+            succeeded,
+            failed: items.length - succeeded,
+            charged: batch.charge.unitCost * succeeded,
+            remaining: status.remaining,
+            isPremium: status.isPremium || false
+        }
+    };
+}
+
+// The generation failed, so the ad reward can be used again and reserved credits are refunded.
+async function refund(ctx) {
+    if (ctx.adRewardId) {
+        await adRewardService.releaseReward(ctx.adRewardId);
+    }
+    if (ctx.charge) {
+        const charge = ctx.charge;
+        // Only ever refunded once, even if the caller retries
+        ctx.charge = null;
+        await limitService.refundCharge(ctx.deviceId, ctx.user, charge, 'generation_failed');
+    }
+}
+
+module.exports = {
+    prepare,
+    prepareBatch,
+    buildRequest,
+    generate,
+    ensureStructured,
+    formatOutput,
+    limitMessage,
+    complete,
+    refund,
+    runBatch
+};
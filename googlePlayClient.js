@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { GoogleAuth } = require('google-auth-library');
+const { loadServiceAccount } = require('./firebase');
+const productCatalog = require('./productCatalog');
+
+// Clients for the Google Play Developer API.
+// Both return purchases in the same normalized shape:
+//   { kind, state, orderId, productId, expiryTime, acknowledged, autoRenewing, linkedPurchaseToken, testPurchase }
+// where state is one of: active, canceled, grace, on_hold, paused, expired, pending.
+
+const API_BASE = 'https://androidpublisher.googleapis.com/androidpublisher/v3/applications';
+const SCOPE = 'https://www.googleapis.com/auth/androidpublisher';
+
+const SUBSCRIPTION_STATES = {
+    SUBSCRIPTION_STATE_ACTIVE: 'active',
+    SUBSCRIPTION_STATE_CANCELED: 'canceled',
+    SUBSCRIPTION_STATE_IN_GRACE_PERIOD: 'grace',
+    SUBSCRIPTION_STATE_ON_HOLD: 'on_hold',
+    SUBSCRIPTION_STATE_PAUSED: 'paused',
+    SUBSCRIPTION_STATE_EXPIRED: 'expired',
+    SUBSCRIPTION_STATE_PENDING: 'pending',
+    SUBSCRIPTION_STATE_PENDING_PURCHASE_CANCELED: 'expired'
+};
+
+// products.get purchaseState: 0 purchased, 1 canceled, 2 pending
+const PRODUCT_STATES = ['active', 'canceled', 'pending'];
+
+function loadPlayCredentials() {
+    const rawKey = process.env.GOOGLE_PLAY_SERVICE_ACCOUNT;
+    if (!rawKey) return loadServiceAccount();
+    if (rawKey.trim().startsWith('{')) return JSON.parse(rawKey);
+    return JSON.parse(Buffer.from(rawKey, 'base64').toString('utf8'));
+}
+
+class PlayApiClient {
+    constructor({ packageName, credentials }) {
+        this.packageName = packageName;
+        this.auth = new GoogleAuth({ credentials, scopes: [SCOPE] });
+    }
+
+    async _request(method, urlPath, params) {
+        const client = await this.auth.getClient();
+        try {
+            const res = await client.request({
+                url: `${API_BASE}/${encodeURIComponent(this.packageName)}${urlPath}`,
+                method,
+                params
+            });
+            return res.data;
+        } catch (e) {
+            const error = new Error(e.response?.data?.error?.message || e.message);
+            error.status = e.response?.status;
+            throw error;
+        }
+    }
+
+    async getSubscription(productId, purchaseToken) {
+        const data = await this._request('GET', `/purchases/subscriptionsv2/tokens/${encodeURIComponent(purchaseToken)}`);
+        const lineItem = (data.lineItems || []).find(item => item.productId === productId) || (data.lineItems || [])[0] || {};
+        return {
+            kind: 'subscription',
+            state: SUBSCRIPTION_STATES[data.subscriptionState] || 'expired',
+            orderId: data.latestOrderId || null,
+            productId: lineItem.productId || productId,
+            expiryTime: lineItem.expiryTime || null,
+            acknowledged: data.acknowledgementState === 'ACKNOWLEDGEMENT_STATE_ACKNOWLEDGED',
+            autoRenewing: !!lineItem.autoRenewingPlan?.autoRenewEnabled,
+            linkedPurchaseToken: data.linkedPurchaseToken || null,
+            testPurchase: !!data.testPurchase
+        };
+    }
+
+    async getProduct(productId, purchaseToken) {
+        const data = await this._request('GET', `/purchases/products/${encodeURIComponent(productId)}/tokens/${encodeURIComponent(purchaseToken)}`);
+        return {
+            kind: 'product',
+            state: PRODUCT_STATES[data.purchaseState] || 'canceled',
+            orderId: data.orderId || null,
+            productId,
+            expiryTime: null,
+            acknowledged: data.acknowledgementState === 1,
+            autoRenewing: false,
+            linkedPurchaseToken: null,
+            testPurchase: data.purchaseType === 0
+        };
+    }
+
+    async acknowledge(kind, productId, purchaseToken) {
+        const type = kind === 'subscription' ? 'subscriptions' : 'products';
+        await this._request('POST', `/purchases/${type}/${encodeURIComponent(productId)}/tokens/${encodeURIComponent(purchaseToken)}:acknowledge`);
+    }
+
+    // Refunded, charged-back and revoked purchases since startTime (ms).
+    async listVoidedPurchases(startTime) {
+        const voided = [];
+        let token;
+        do {
+            const data = await this._request('GET', '/purchases/voidedpurchases', {
+                startTime,
+                type: 1, // include subscriptions
+                token
+            });
+            for (const item of data.voidedPurchases || []) {
+                voided.push({
+                    purchaseToken: item.purchaseToken,
+                    orderId: item.orderId,
+                    voidedTime: new Date(Number(item.voidedTimeMillis)).toISOString(),
+                    reason: item.voidedReason
+                });
+            }
+            token = data.tokenPagination?.nextPageToken;
+        } while (token);
+        return voided;
+    }
+}
+
+// In-memory stand-in for local development and tests.
+// Unknown tokens are approved as fresh purchases unless autoApprove is false.
+class FakePlayClient {
+    constructor({ autoApprove = true } = {}) {
+        this.autoApprove = autoApprove;
+        this.purchases = new Map();
+        this.voided = [];
+        this.acknowledgements = [];
+    }
+
+    addPurchase(purchaseToken, purchase) {
+        this.purchases.set(purchaseToken, purchase);
+    }
+
+    voidPurchase(purchaseToken, reason = 1) {
+        const purchase = this.purchases.get(purchaseToken);
+        if (purchase) purchase.state = 'expired';
+        this.voided.push({
+            purchaseToken,
+            orderId: purchase?.orderId || null,
+            voidedTime: new Date().toISOString(),
+            reason
+        });
+    }
+
+    _lookup(kind, productId, purchaseToken) {
+        if (!this.purchases.has(purchaseToken)) {
+            if (!this.autoApprove) {
+                const error = new Error('Purchase token not found');
+                error.status = 404;
+                throw error;
+            }
+            const product = productCatalog.getProduct(productId);
+            const expiry = new Date();
+            expiry.setDate(expiry.getDate() + (product?.days || 30));
+            this.addPurchase(purchaseToken, {
+                state: 'active',
+                orderId: 'GPA.FAKE-' + crypto.createHash('sha256').update(purchaseToken).digest('hex').slice(0, 16),
+                productId,
+                expiryTime: kind === 'subscription' ? expiry.toISOString() : null,
+                acknowledged: false,
+                autoRenewing: kind === 'subscription',
+                linkedPurchaseToken: null,
+                testPurchase: true
+            });
+        }
+        return { kind, ...this.purchases.get(purchaseToken) };
+    }
+
+    async getSubscription(productId, purchaseToken) {
+        return this._lookup('subscription', productId, purchaseToken);
+    }
+
+    async getProduct(productId, purchaseToken) {
+        return this._lookup('product', productId, purchaseToken);
+    }
+
+    async acknowledge(kind, productId, purchaseToken) {
+        const purchase = this.purchases.get(purchaseToken);
+        if (purchase) purchase.acknowledged = true;
+        this.acknowledgements.push({ kind, productId, purchaseToken });
+    }
+
+    async listVoidedPurchases(startTime) {
+        return this.voided.filter(item => new Date(item.voidedTime).getTime() >= startTime);
+    }
+}
+
+let client = null;
+
+// GOOGLE_PLAY_CLIENT=fake selects the in-memory client; otherwise the real API
+// is used with GOOGLE_PLAY_PACKAGE_NAME and GOOGLE_PLAY_SERVICE_ACCOUNT
+// (falling back to the Firebase service account).
+function getPlayClient() {
+    if (!client) {
+        if (process.env.GOOGLE_PLAY_CLIENT === 'fake') {
+            console.warn("[GooglePlay] Using fake Play client. Purchases are NOT verified.");
+            client = new FakePlayClient();
+        } else {
+            const packageName = process.env.GOOGLE_PLAY_PACKAGE_NAME;
+            const credentials = loadPlayCredentials();
+            if (!packageName || !credentials) {
+                throw new Error("Google Play verification is not configured (GOOGLE_PLAY_PACKAGE_NAME / service account missing)");
+            }
+            client = new PlayApiClient({ packageName, credentials });
+        }
+    }
+    return client;
+}
+
+function setPlayClient(newClient) {
+    client = newClient;
+}
+
+module.exports = {
+    PlayApiClient,
+    FakePlayClient,
+    getPlayClient,
+    setPlayClient
+};
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const { getPlayClient } = require('./googlePlayClient');
+const productCatalog = require('./productCatalog');
+const limitService = require('./limitService');
+
+// Google Play purchase verification and subscription lifecycle.
+// Every verified purchase token gets one document in the `orders` collection
+// (keyed by a hash of the token), which pins it to the device that redeemed it.
+
+const ENTITLED_STATES = ['active', 'canceled', 'grace'];
+
+function hashToken(purchaseToken) {
+    return crypto.createHash('sha256').update(purchaseToken).digest('hex');
+}
+
+// The premium grant a purchase token backs (see limitService.upgradeUser).
+function grantIdFor(purchaseToken) {
+    return `google_play:${hashToken(purchaseToken)}`;
+}
+
+// Renewals get suffixed order IDs (GPA.1234..0, GPA.1234..1), so match on the base ID.
+function sameOrder(a, b) {
+    if (!a || !b) return false;
+    const base = id => id.split('..')[0];
+    return base(a) === base(b);
+}
+
+function isEntitled(purchase) {
+    if (!ENTITLED_STATES.includes(purchase.state)) return false;
+    if (purchase.expiryTime && new Date(purchase.expiryTime) <= new Date()) return false;
+    return true;
+}
+
+async function fetchPurchase(product, purchaseToken) {
+    const client = getPlayClient();
+    if (product.type === 'subscription') {
+        return client.getSubscription(product.productId, purchaseToken);
+    }
+    return client.getProduct(product.productId, purchaseToken);
+}
+
+async function acknowledgeIfNeeded(product, purchaseToken, purchase) {
+    if (purchase.acknowledged) return true;
+    try {
+        await getPlayClient().acknowledge(purchase.kind, product.productId, purchaseToken);
+        return true;
+    } catch (e) {
+        // Not fatal: the next sync retries, and Play only refunds after 3 days.
+        console.error("[GooglePlay] Acknowledge failed:", e.message);
+        return false;
+    }
+}
+
+// Applies the current Google state of a purchase to the device's premium status.
+// Returns false if the entitlement could not be written.
+async function applyPurchaseState(deviceId, product, purchaseToken, purchase, uid = null) {
+    // One grant per purchase token, so this purchase lapsing leaves other premium alone
+    const grantId = grantIdFor(purchaseToken);
+    if (isEntitled(purchase)) {
+        return limitService.upgradeUser(deviceId, product.days, {
+            uid,
+            grantId,
+            source: 'google_play',
+            orderId: purchase.orderId,
+            productId: product.productId,
+            plan: product.plan,
+            expiresAt: purchase.expiryTime
+        });
+    }
+    return limitService.revokeGrant(deviceId, grantId, {
+        uid,
+        reason: `google_play_${purchase.state}`
+    });
+}
+
+// Verifies a client-reported purchase with Google and grants premium.
+// Returns { success, expiryDate } or { success: false, status, error }.
+async function verifyPurchase({ deviceId, productId, purchaseToken, orderId, uid = null }) {
+    if (!deviceId || !productId || !purchaseToken || !orderId) {
+        return { success: false, status: 400, error: "Missing purchase details" };
+    }
+
+    const product = productCatalog.getProduct(productId);
+    if (!product) {
+        return { success: false, status: 400, error: "Unknown product" };
+    }
+
+    let purchase;
+    try {
+        purchase = await fetchPurchase(product, purchaseToken);
+    } catch (e) {
+        console.error("[GooglePlay] Purchase lookup failed:", e.message);
+        if (e.status && e.status < 500) {
+            return { success: false, status: 400, error: "Invalid purchase token" };
+        }
+        return { success: false, status: 502, error: "Could not reach Google Play" };
+    }
+
+    if (purchase.productId !== productId || !sameOrder(purchase.orderId, orderId)) {
+        return { success: false, status: 400, error: "Purchase does not match order" };
+    }
+    if (purchase.state === 'pending') {
+        return { success: false, status: 402, error: "Payment is still pending" };
+    }
+    if (!isEntitled(purchase)) {
+        return { success: false, status: 400, error: "Purchase is not active" };
+    }
+
+    // Record the order, refusing tokens or order IDs already redeemed by another device.
+    const db = getStore();
+    const orderRef = db.collection('orders').doc(hashToken(purchaseToken));
+    const now = new Date().toISOString();
+    let alreadyRedeemed = false;
+    try {
+        await db.runTransaction(async (t) => {
+            const doc = await t.get(orderRef);
+            const sameOrderId = purchase.orderId
+                ? await t.get(db.collection('orders').where('orderId', '==', purchase.orderId).limit(1))
+                : { docs: [] };
+
+            // The same account may restore its purchase on another device.
+            const sameAccount = uid && doc.exists && doc.data().uid === uid;
+            if (doc.exists && doc.data().deviceId !== deviceId && !sameAccount) {
+                throw new Error("Purchase already redeemed");
+            }
+            if (sameOrderId.docs.some(d => d.id !== orderRef.id)) {
+                throw new Error("Purchase already redeemed");
+            }
+            alreadyRedeemed = doc.exists;
+
+            t.set(orderRef, {
+                source: 'google_play',
+                deviceId: deviceId,
+                uid: uid || (doc.exists ? doc.data().uid || null : null),
+                productId: productId,
+                orderId: purchase.orderId,
+                purchaseToken: purchaseToken,
+                kind: purchase.kind,
+                state: purchase.state,
+                expiryTime: purchase.expiryTime,
+                testPurchase: purchase.testPurchase,
+                updatedAt: now,
+                ...(doc.exists ? {} : { createdAt: now })
+            }, { merge: true });
+        });
+    } catch (e) {
+        console.log(`[GooglePlay] Rejected ${purchase.orderId} for ${deviceId}: ${e.message}`);
+        return { success: false, status: 409, error: e.message };
+    }
+
+    // One-time products add days, so only grant them on first redemption.
+    // Subscriptions set an absolute expiry, so re-applying them is harmless.
+    if (!alreadyRedeemed || product.type === 'subscription') {
+        const applied = await applyPurchaseState(deviceId, product, purchaseToken, purchase, uid);
+        if (!applied) {
+            // Forget a new order again, so retrying redeems it instead of finding it already redeemed
+            if (!alreadyRedeemed) await orderRef.delete();
+            return { success: false, status: 500, error: "Could not activate premium" };
+        }
+    }
+
+    const acknowledged = await acknowledgeIfNeeded(product, purchaseToken, purchase);
+    await orderRef.update({ acknowledged });
+
+    const status = await limitService.getLimitStatus(deviceId);
+    return {
+        success: true,
+        alreadyRedeemed,
+        orderId: purchase.orderId,
+        expiryDate: status.expiryDate || purchase.expiryTime
+    };
+}
+
+// Re-reads a recorded subscription from Google and applies renewals, cancellations and expiry.
+async function syncOrder(orderDoc) {
+    const order = orderDoc.data();
+    const product = productCatalog.getProduct(order.productId);
+    if (!product || order.kind !== 'subscription' || order.state === 'voided') return order;
+
+    const purchase = await fetchPurchase(product, order.purchaseToken);
+    if (!await applyPurchaseState(order.deviceId, product, order.purchaseToken, purchase, order.uid)) {
+        throw new Error("Could not apply purchase state");
+    }
+
+    const acknowledged = isEntitled(purchase)
+        ? await acknowledgeIfNeeded(product, order.purchaseToken, purchase)
+        : purchase.acknowledged;
+
+    const update = {
+        orderId: purchase.orderId || order.orderId,
+        state: purchase.state,
+        expiryTime: purchase.expiryTime,
+        acknowledged,
+        updatedAt: new Date().toISOString()
+    };
+    await orderDoc.ref.update(update);
+    return { ...order, ...update };
+}
+
+// Re-syncs every Google Play subscription recorded for a device.
+async function syncDevice(deviceId) {
+    const snapshot = await getStore().collection('orders')
+        .where('deviceId', '==', deviceId)
+        .get();
+
+    const orders = [];
+    for (const doc of snapshot.docs) {
+        if (doc.data().source !== 'google_play') continue;
+        try {
+            orders.push(await syncOrder(doc));
+        } catch (e) {
+            console.error(`[GooglePlay] Sync failed for order ${doc.id}:`, e.message);
+        }
+    }
+    return orders;
+}
+
+async function syncPurchaseToken(purchaseToken) {
+    const doc = await getStore().collection('orders').doc(hashToken(purchaseToken)).get();
+    if (!doc.exists) return null;
+    return syncOrder(doc);
+}
+
+// Marks a purchase as voided and revokes the premium it granted.
+// Returns the order before the change, or null if it was unknown or already voided.
+async function voidPurchaseToken(purchaseToken, details = {}) {
+    const orderRef = getStore().collection('orders').doc(hashToken(purchaseToken));
+    const doc = await orderRef.get();
+    if (!doc.exists || doc.data().state === 'voided') return null;
+
+    // Revoke first: if that fails the order isn't marked voided yet, so the next attempt retries it
+    const product = productCatalog.getProduct(doc.data().productId);
+    const revoked = await limitService.revokeGrant(doc.data().deviceId, grantIdFor(purchaseToken), {
+        uid: doc.data().uid || null,
+        days: product ? product.days : null,
+        reason: details.downgradeReason || 'google_play_refund'
+    });
+    if (!revoked) throw new Error("Could not revoke premium");
+
+    await orderRef.update({
+        state: 'voided',
+        voidedAt: details.voidedTime || new Date().toISOString(),
+        voidedReason: details.reason || null,
+        updatedAt: new Date().toISOString()
+    });
+    return doc.data();
+}
+
+// Revokes premium for refunded / charged-back purchases.
+async function processVoidedPurchases(sinceMs) {
+    const voided = await getPlayClient().listVoidedPurchases(sinceMs);
+    let revoked = 0;
+
+    for (const item of voided) {
+        if (await voidPurchaseToken(item.purchaseToken, item)) revoked++;
+    }
+
+    if (revoked) console.log(`[GooglePlay] Revoked ${revoked} voided purchase(s)`);
+    return revoked;
+}
+
+// Polls the voided purchases API every intervalMs.
+function startVoidedPurchaseSync(intervalMs) {
+    let since = Date.now() - intervalMs;
+    const timer = setInterval(async () => {
+        const startedAt = Date.now();
+        try {
+            await processVoidedPurchases(since);
+            since = startedAt;
+        } catch (e) {
+            console.error("[GooglePlay] Voided purchase sync failed:", e.message);
+        }
+    }, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    verifyPurchase,
+    syncDevice,
+    syncPurchaseToken,
+    voidPurchaseToken,
+    processVoidedPurchases,
+    startVoidedPurchaseSync,
+    hashToken
+};
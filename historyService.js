@@ -0,0 +1,152 @@
+const { getStore } = require('./storage');
+
+// Generation history, kept in the `history` collection.
+// Entries belong to their owner: the account when the generation was made signed in
+// ('account:{uid}'), otherwise the device ('device:{deviceId}'), so signed-in history follows
+// the account and anonymous history stays on the device. Free users keep a short history,
+// premium users a long one; favorites are never pruned.
+// (Firestore needs composite indexes on owner + createdAt and deviceId + createdAt.)
+
+const RETENTION = {
+    free: {
+        maxEntries: Number(process.env.HISTORY_MAX_FREE || 20),
+        maxAgeDays: Number(process.env.HISTORY_DAYS_FREE || 7)
+    },
+    premium: {
+        maxEntries: Number(process.env.HISTORY_MAX_PREMIUM || 500),
+        maxAgeDays: Number(process.env.HISTORY_DAYS_PREMIUM || 365)
+    }
+};
+
+const MAX_PAGE_SIZE = 50;
+const MAX_TAGS = 10;
+
+function ownerOf(deviceId, user) {
+    return user ? `account:${user.uid}` : `device:${deviceId}`;
+}
+
+function toEntry(doc) {
+    return { id: doc.id, ...doc.data() };
+}
+
+// Stores a finished generation. Returns the entry ID, or null if it could not be saved
+// (history is best-effort and never fails the generation itself).
+async function record(entry, { user = null, isPremium = false } = {}) {
+    try {
+        const owner = ownerOf(entry.deviceId, user);
+        const ref = await getStore().collection('history').add({
+            owner,
+            deviceId: entry.deviceId,
+            uid: user ? user.uid : null,
+            category: entry.category,
+            inputs: entry.inputs,
+            outputLanguage: entry.outputLanguage || null,
+            output: entry.output,
+            provider: entry.provider || null,
+            model: entry.model || null,
+            hasImage: !!entry.hasImage,
+            attachmentCount: entry.attachmentCount || 0,
+            favorite: false,
+            tags: [],
+            createdAt: new Date().toISOString()
+        });
+        await prune(owner, isPremium);
+        return ref.id;
+    } catch (e) {
+        console.error("[History] Failed to record generation:", e);
+        return null;
+    }
+}
+
+// Drops non-favorite entries beyond the tier's count or age limit.
+async function prune(owner, isPremium) {
+    const { maxEntries, maxAgeDays } = RETENTION[isPremium ? 'premium' : 'free'];
+    const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const snapshot = await getStore().collection('history')
+        .where('owner', '==', owner)
+        .orderBy('createdAt', 'desc')
+        .get();
+
+    let kept = 0;
+    for (const doc of snapshot.docs) {
+        const data = doc.data();
+        if (data.favorite) continue;
+        kept++;
+        if (kept > maxEntries || data.createdAt < cutoff) {
+            await doc.ref.delete();
+        }
+    }
+}
+
+// The owner's entries, newest first. Filters: favorite (bool), tag, category.
+async function list(deviceId, user, { limit = 20, offset = 0, favorite, tag, category } = {}) {
+    let query = getStore().collection('history').where('owner', '==', ownerOf(deviceId, user));
+    if (favorite !== undefined) query = query.where('favorite', '==', favorite);
+    if (tag) query = query.where('tags', 'array-contains', tag);
+    if (category) query = query.where('category', '==', category);
+
+    const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+    const start = Math.max(Number(offset) || 0, 0);
+
+    // Fetch one extra to know whether another page exists.
+    const snapshot = await query.orderBy('createdAt', 'desc').offset(start).limit(pageSize + 1).get();
+    const items = snapshot.docs.slice(0, pageSize).map(toEntry);
+    return {
+        items,
+        nextOffset: snapshot.docs.length > pageSize ? start + pageSize : null
+    };
+}
+
+// Whether anything was ever generated on the device, signed in or not.
+async function hasEntries(deviceId) {
+    const snapshot = await getStore().collection('history').where('deviceId', '==', deviceId).limit(1).get();
+    return !snapshot.empty;
+}
+
+// Returns the entry if it belongs to the owner, otherwise null.
+async function get(deviceId, user, id) {
+    const doc = await getStore().collection('history').doc(id).get();
+    if (!doc.exists || doc.data().owner !== ownerOf(deviceId, user)) return null;
+    return toEntry(doc);
+}
+
+async function update(deviceId, user, id, { favorite, tags }) {
+    const entry = await get(deviceId, user, id);
+    if (!entry) return null;
+
+    const changes = {};
+    if (favorite !== undefined) changes.favorite = !!favorite;
+    if (tags !== undefined) {
+        changes.tags = [...new Set(tags.map(t => String(t).trim()).filter(Boolean))].slice(0, MAX_TAGS);
+    }
+    if (Object.keys(changes).length) {
+        await getStore().collection('history').doc(id).update(changes);
+    }
+    return { ...entry, ...changes };
+}
+
+async function remove(deviceId, user, id) {
+    const entry = await get(deviceId, user, id);
+    if (!entry) return false;
+    await getStore().collection('history').doc(id).delete();
+    return true;
+}
+
+async function removeAll(deviceId, user) {
+    const snapshot = await getStore().collection('history').where('owner', '==', ownerOf(deviceId, user)).get();
+    for (const doc of snapshot.docs) {
+        await doc.ref.delete();
+    }
+    return snapshot.size;
+}
+
+module.exports = {
+    record,
+    list,
+    hasEntries,
+    get,
+    update,
+    remove,
+    removeAll
+};
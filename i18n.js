@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stable error codes and localized error messages.
+//
+// Routes and services keep writing English `error` messages; like gettext msgids, they are
+// looked up in the English catalog to find their stable code. The localizeErrors middleware
+// does this for every error response (status >= 400, or `success: false`): it adds `code`
+// (an existing `code` such as content_blocked is kept) and replaces `error` with the message
+// in the client's language, chosen from Accept-Language.
+//
+// Catalogs are locales/{locale}.json, mapping code -> message. A missing translation falls
+// back along the client's preferences (hi-IN -> hi -> the next language it accepts) and then
+// to DEFAULT_LOCALE. Messages that aren't in the catalog at all (provider errors, validation
+// details) are sent unchanged, with a generic code for their status.
+
+const LOCALES_DIR = process.env.LOCALES_DIR || path.join(__dirname, 'locales');
+const DEFAULT_LOCALE = 'en';
+const STATUS_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    410: 'gone',
+    413: 'payload_too_large',
+    422: 'unprocessable',
+    429: 'rate_limited',
+    502: 'bad_gateway',
+    503: 'unavailable',
+    504: 'timeout'
+};
+
+let catalogs = null;
+let codesByMessage = null;
+
+function load() {
+    if (catalogs) return;
+    catalogs = {};
+    for (const file of fs.readdirSync(LOCALES_DIR)) {
+        if (!file.endsWith('.json')) continue;
+        catalogs[file.slice(0, -5).toLowerCase()] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+    }
+    codesByMessage = new Map(Object.entries(catalogs[DEFAULT_LOCALE]).map(([code, message]) => [message, code]));
+}
+
+// Locales to try, most preferred first: "hi-IN,hi;q=0.9,en;q=0.5" -> ['hi-in', 'hi', 'en'].
+// Always ends with DEFAULT_LOCALE.
+function localeChain(acceptLanguage) {
+    const preferences = String(acceptLanguage || '')
+        .split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+            return { tag: tag.toLowerCase(), q: q ? Number(q.slice(2)) : 1, index };
+        })
+        .filter(p => /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(p.tag) && p.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    const chain = [];
+    for (const { tag } of preferences) {
+        for (const locale of [tag, tag.split('-')[0]]) {
+            if (!chain.includes(locale)) chain.push(locale);
+        }
+    }
+    if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+    return chain;
+}
+
+// { message, locale } for `code` in the first locale of `chain` that has it, or null.
+function translate(code, chain) {
+    load();
+    for (const locale of chain) {
+        const message = catalogs[locale] && catalogs[locale][code];
+        if (message) return { message, locale };
+    }
+    return null;
+}
+
+// The English message's code, or null if it isn't in the catalog.
+function codeFor(message) {
+    load();
+    return codesByMessage.get(message) || null;
+}
+
+// Returns { body, locale }: the error body with `code` added and `error` localized
+// (`locale` is null when the message was left as it was).
+function localizeError(body, status, acceptLanguage) {
+    if (!body || typeof body.error !== 'string') return { body, locale: null };
+
+    const messageCode = codeFor(body.error);
+    const code = body.code || messageCode || STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'error');
+    const translated = messageCode ? translate(messageCode, localeChain(acceptLanguage)) : null;
+    return {
+        body: { ...body, error: translated ? translated.message : body.error, code },
+        locale: translated ? translated.locale : null
+    };
+}
+
+// Middleware: localizes every JSON error response sent after it.
+function localizeErrors(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (body && (res.statusCode >= 400 || body.success === false)) {
+            const localized = localizeError(body, res.statusCode, req.get('Accept-Language'));
+            if (localized.locale) res.set('Content-Language', localized.locale);
+            return json(localized.body);
+        }
+        return json(body);
+    };
+    next();
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    localeChain,
+    translate,
+    codeFor,
+    localizeError,
+    localizeErrors
+};
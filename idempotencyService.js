@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+
+// Idempotency-Key support for POST /api/generate.
+//
+// The first request with a key claims it; when it succeeds its response is stored, and
+// retries with the same key (from the same device) get that response back without a new
+// model call or another quota charge. A failed request releases its key so it can be retried.
+// A claim also stores a fingerprint of the request (category, inputs, outputLanguage); reusing
+// the key for a different request is refused instead of replaying the other response.
+// Keys are kept for IDEMPOTENCY_TTL_HOURS; an unfinished claim is considered abandoned after 5 minutes.
+
+const TTL_MS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 60 * 60 * 1000;
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+const MAX_KEY_LENGTH = 200;
+
+function keyRef(deviceId, key) {
+    const id = crypto.createHash('sha256').update(`${deviceId}:${key}`).digest('hex');
+    return getStore().collection('idempotency_keys').doc(id);
+}
+
+// Sorted keys, so the same request serialized differently has the same fingerprint.
+function canonical(value) {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const key of Object.keys(value).sort()) result[key] = canonical(value[key]);
+        return result;
+    }
+    return value;
+}
+
+function fingerprint({ category, inputs, outputLanguage }) {
+    const material = JSON.stringify(canonical({ category: category || null, inputs: inputs || null, outputLanguage: outputLanguage || null }));
+    return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+function isValidKey(key) {
+    return typeof key === 'string' && key.length > 0 && key.length <= MAX_KEY_LENGTH;
+}
+
+// `request` is { category, inputs, outputLanguage }.
+// Returns { state: 'claimed' } | { state: 'replay', status, body } | { state: 'in_progress' } | { state: 'mismatch' }.
+async function claim(deviceId, key, route, request) {
+    const requestHash = fingerprint(request);
+    const db = getStore();
+    const ref = keyRef(deviceId, key);
+    return db.runTransaction(async (t) => {
+        const doc = await t.get(ref);
+        const now = Date.now();
+        if (doc.exists) {
+            const data = doc.data();
+            const fresh = now - new Date(data.createdAt).getTime() < TTL_MS;
+            const claimed = data.status === 'done' || now - new Date(data.claimedAt).getTime() < STALE_CLAIM_MS;
+            if (fresh && claimed && data.requestHash !== requestHash) {
+                return { state: 'mismatch' };
+            }
+            if (fresh && data.status === 'done') {
+                return { state: 'replay', status: data.responseStatus, body: data.response };
+            }
+            if (fresh && data.status === 'processing' && now - new Date(data.claimedAt).getTime() < STALE_CLAIM_MS) {
+                return { state: 'in_progress' };
+            }
+        }
+        t.set(ref, {
+            deviceId,
+            route,
+            requestHash,
+            status: 'processing',
+            createdAt: new Date(now).toISOString(),
+            claimedAt: new Date(now).toISOString()
+        });
+        return { state: 'claimed' };
+    });
+}
+
+async function saveResponse(deviceId, key, status, body) {
+    await keyRef(deviceId, key).set({
+        status: 'done',
+        responseStatus: status,
+        response: body,
+        completedAt: new Date().toISOString()
+    }, { merge: true });
+}
+
+async function release(deviceId, key) {
+    await keyRef(deviceId, key).delete();
+}
+
+module.exports = {
+    isValidKey,
+    claim,
+    saveResponse,
+    release
+};
@@ -1,145 +1,285 @@
-const admin = require('firebase-admin');
-const path = require('path');
-
-// Initialize Firebase
-try {
-    let serviceAccount;
-    // Check if key exists locally (Development)
-    if (require('fs').existsSync('./serviceAccountKey.json')) {
-        serviceAccount = require('./serviceAccountKey.json');
-    } else if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-        // Production (Render Env Var)
-        // Check if it's base64 or raw JSON
-        const rawKey = process.env.FIREBASE_SERVICE_ACCOUNT;
-        if (rawKey.trim().startsWith('{')) {
-            serviceAccount = JSON.parse(rawKey);
-        } else {
-            // Assume Base64
-            const buffer = Buffer.from(rawKey, 'base64');
-            serviceAccount = JSON.parse(buffer.toString('utf8'));
-        }
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const adRewardService = require('./adRewardService');
+const { samePhone } = require('./authService');
+const accountService = require('./accountService');
+const planService = require('./planService');
+const creditLedger = require('./creditLedger');
+
+const RATE_REWARD_CREDITS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How often the timezone a quota is counted in may change
+const TIMEZONE_CHANGE_DAYS = Number(process.env.TIMEZONE_CHANGE_DAYS || 7);
+
+// Quota and premium are resolved per request:
+// - signed-in users: quota lives on accounts/{uid}, premium on the account applies to its linked devices
+// - anonymous users: quota and premium live on users/{deviceId}
+// Device-level premium from before accounts existed still works through ownsPremium.
+
+// Who may use the premium on a device:
+// - owned by a UID: only that signed-in user
+// - legacy purchase owned by email/phone: a signed-in user whose verified email/phone matches
+// - no owner at all (orphan): anyone on the device, until someone claims it
+function ownsPremium(data, user) {
+    if (data.ownerUid) {
+        return !!user && user.uid === data.ownerUid;
+    }
+    if (data.email || data.phone) {
+        return legacyOwnerMatches(data, user);
     }
+    return true;
+}
 
-    if (serviceAccount) {
-        admin.initializeApp({
-            credential: admin.credential.cert(serviceAccount)
-        });
-        console.log("Firebase Admin Initialized Successfully");
-    } else {
-        console.error("Firebase Service Account Key NOT FOUND. Limits will not work permanently.");
+function legacyOwnerMatches(data, user) {
+    if (!user) return false;
+    if (data.email && user.email && data.email.toLowerCase() === user.email.toLowerCase()) return true;
+    if (data.phone && samePhone(data.phone, user.phone)) return true;
+    return false;
+}
+
+// Where this request's premium comes from: 'account', 'device' or null.
+function premiumSource(deviceId, deviceData, account, user) {
+    if (user && accountService.hasActivePremium(account) && accountService.isDeviceLinked(account, deviceId)) {
+        return 'account';
     }
-} catch (e) {
-    console.error("Firebase Init Error:", e);
+    if (accountService.hasActivePremium(deviceData) && ownsPremium(deviceData, user)) {
+        return 'device';
+    }
+    return null;
 }
 
-const db = admin.firestore();
-const DAILY_LIMIT = 5;
+// The document that holds this request's quota.
+function quotaRef(deviceId, user) {
+    return user ? accountService.accountRef(user.uid) : getStore().collection('users').doc(deviceId);
+}
 
-function getTodayStr() {
-    return new Date().toISOString().split('T')[0];
+// The plan tier that applies to this request. The stored plan is as of the last change to the
+// grants, so it is worked out again: a queued grant may have started, or a higher one ended, since.
+async function tierFor(source, premiumData) {
+    if (!source) return planService.FREE_TIER;
+    if (premiumData.grants) {
+        const { plan } = entitlementFrom(premiumData.grants, await planService.loadPlans());
+        if (plan) return plan;
+    }
+    return premiumData.plan || planService.DEFAULT_PREMIUM_TIER;
 }
 
-async function getLimitStatus(deviceId, userEmail = null, userPhone = null) {
-    if (!deviceId) return { allowed: false, remaining: 0, error: "No Device ID" };
+// Where the quota stands in time: { tz, day, month, newDay, newMonth }.
+// Days are counted in the stored timezone. A different zone from the client is only adopted
+// when it starts a new day, and at most once every TIMEZONE_CHANGE_DAYS; days and months
+// only move forward. Together this keeps zone switching from earning extra daily grants.
+async function quotaPeriod(data, timezone) {
+    const requested = planService.isValidTimezone(timezone) ? timezone : null;
+    const stored = data.timezone || requested || await planService.getDefaultTimezone();
+    const changedAt = data.timezoneChangedAt ? new Date(data.timezoneChangedAt).getTime() : 0;
+    const zones = [stored];
+    if (requested && requested !== stored && Date.now() - changedAt >= TIMEZONE_CHANGE_DAYS * DAY_MS) {
+        zones.unshift(requested);
+    }
 
-    try {
-        const userRef = db.collection('users').doc(deviceId);
-        const doc = await userRef.get();
-        const today = getTodayStr();
+    let keys = null;
+    let tz = stored;
+    for (const zone of zones) {
+        const candidate = planService.periodKeys(zone);
+        if (!data.date || candidate.day > data.date) {
+            keys = candidate;
+            tz = zone;
+            break;
+        }
+    }
+    keys = keys || planService.periodKeys(stored);
+    return {
+        tz,
+        day: keys.day,
+        month: keys.month,
+        newDay: !data.date || keys.day > data.date,
+        newMonth: !data.month || keys.month > data.month
+    };
+}
 
-        let userData = doc.exists ? doc.data() : null;
+// Quota fields on the quota document:
+//   date, count (the credit balance, see creditLedger), ledgerSeq, dailyGrant (today's daily
+//   credits), dayUsed, categoryUsage (generations today per category), month, monthUsed, tier,
+//   timezone, timezoneChangedAt
+// Credits are spent daily grant first. At the reset, whatever is left of the daily grant
+// expires and a new one is added; earned credits (ads, rating, promo codes, referrals) carry over.
+// Rolls the day/month over in the user's timezone (see quotaPeriod) and re-bases the daily
+// allowance when the tier changes. Returns the current data.
+async function refreshQuota(ref, owner, data, policy, timezone, label) {
+    data = data || {};
+    const period = await quotaPeriod(data, timezone);
+    if (!period.newDay && !period.newMonth && data.tier === policy.id) return data;
+
+    const db = getStore();
+    return db.runTransaction(async (t) => {
+        const doc = await t.get(ref);
+        const current = doc.exists ? doc.data() : {};
+        const { tz, day, month, newDay, newMonth } = await quotaPeriod(current, timezone);
+        const changes = {};
+        const entries = [];
+
+        if (newDay) {
+            if (doc.exists) {
+                // Documents from before dailyGrant held nothing but daily credits
+                const grant = current.dailyGrant !== undefined ? current.dailyGrant : Infinity;
+                const unused = Math.min(Math.max(grant - (current.dayUsed || 0), 0), current.count || 0);
+                if (unused > 0) entries.push({ type: 'daily_expire', amount: -unused, details: { date: current.date || null } });
+            }
+            if (policy.dailyCredits > 0) entries.push({ type: 'daily_grant', amount: policy.dailyCredits, details: { date: day, tier: policy.id } });
+            Object.assign(changes, {
+                date: day,
+                dailyGrant: policy.dailyCredits,
+                dayUsed: 0,
+                categoryUsage: {},
+                tier: policy.id,
+                timezone: tz
+            });
+            if (current.timezone && current.timezone !== tz) {
+                console.log(`[Limit] Timezone of ${label} changed from ${current.timezone} to ${tz}`);
+                changes.timezoneChangedAt = new Date().toISOString();
+            }
+        } else if (!current.tier) {
+            // Quota written before plan tiers: infer today's usage from what's left
+            Object.assign(changes, {
+                tier: policy.id,
+                dailyGrant: policy.dailyCredits,
+                dayUsed: Math.max(policy.dailyCredits - (current.count || 0), 0),
+                timezone: tz
+            });
+        } else if (current.tier !== policy.id) {
+            // Plan changed today: today's usage counts against the new tier's allowance
+            console.log(`[Limit] Tier of ${label} changed from ${current.tier} to ${policy.id}`);
+            const used = current.dayUsed || 0;
+            const oldGrant = current.dailyGrant !== undefined ? current.dailyGrant : (await planService.getPolicy(current.tier)).dailyCredits;
+            const dailyLeft = Math.min(Math.max(oldGrant - used, 0), current.count || 0);
+            const delta = Math.max(policy.dailyCredits - used, 0) - dailyLeft;
+            if (delta !== 0) entries.push({ type: 'tier_change', amount: delta, details: { from: current.tier, to: policy.id } });
+            Object.assign(changes, { tier: policy.id, dailyGrant: policy.dailyCredits });
+        }
 
-        // Initialize or reset if new day
-        if (!userData || userData.date !== today) {
-            userData = {
-                date: today,
-                count: DAILY_LIMIT,
-                ...userData // Keep existing fields like subscriptionExpiry
-            };
-            if (userData.subscriptionExpiry) delete userData.count; // Optimization: Don't need count for premium
-
-            // Only update date/count, preserve premium info
-            await userRef.set({ date: today, count: DAILY_LIMIT }, { merge: true });
-        } else if (userData.count > DAILY_LIMIT) {
-            // AUTO-FIX: If count > 5 (due to old bug behavior), reset to 5.
-            console.log(`[Limit] Auto-correcting count for ${deviceId} from ${userData.count} to ${DAILY_LIMIT}`);
-            userData.count = DAILY_LIMIT;
-            await userRef.update({ count: DAILY_LIMIT });
+        if (newMonth) {
+            Object.assign(changes, { month, monthUsed: 0 });
         }
 
-        // Check Premium via Expiry Date
-        if (userData.subscriptionExpiry) {
-            const expiryDate = new Date(userData.subscriptionExpiry);
-            const now = new Date();
-
-            if (expiryDate > now) {
-                // BACKWARD COMPATIBILITY & SECURITY FIX:
-                // If Premium exists but has NO Owner Info (Legacy Purchase), LOCK IT to valid requester.
-                if (!userData.email && !userData.phone) {
-                    if (userEmail || userPhone) {
-                        try {
-                            console.log(`[Limit] Auto-Claiming Orphan Premium for Device ${deviceId} to ${userEmail || userPhone}`);
-                            await userRef.set({
-                                email: userEmail || null,
-                                phone: userPhone || null
-                            }, { merge: true });
-
-                            // Update local data for immediate verification
-                            userData.email = userEmail || null;
-                            userData.phone = userPhone || null;
-                        } catch (e) {
-                            console.error("Auto-Claim Error:", e);
-                        }
-                    }
-                }
+        if (entries.length) {
+            Object.assign(changes, creditLedger.appendInTransaction(t, owner, current, entries));
+        }
+        if (Object.keys(changes).length) {
+            // Only update quota fields, preserve premium info
+            t.set(ref, changes, { merge: true });
+        }
+        return { ...current, ...changes };
+    });
+}
 
-                // VERIFY OWNERSHIP:
-                // If Premium is linked to Email or Phone, requester MUST match one of them.
+function monthlyRemaining(policy, data) {
+    if (policy.monthlyCredits === null || policy.monthlyCredits === undefined) return null;
+    return Math.max(policy.monthlyCredits - (data.monthUsed || 0), 0);
+}
 
-                let isMatch = false;
-                let hasOwnerInfo = false;
+// Why a generation in `category` is not allowed: 'daily', 'monthly', 'category' or null.
+function quotaBlock(policy, data, category) {
+    const cost = planService.costFor(policy, category);
+    const monthLeft = monthlyRemaining(policy, data);
+    if ((data.count || 0) < Math.max(cost, 1)) return 'daily';
+    if (monthLeft !== null && monthLeft < Math.max(cost, 1)) return 'monthly';
 
-                if (userData.email) {
-                    hasOwnerInfo = true;
-                    if (userEmail && userData.email.toLowerCase() === userEmail.toLowerCase()) {
-                        isMatch = true;
-                    }
-                }
+    const categoryLimit = planService.categoryLimitFor(policy, category);
+    if (categoryLimit !== null && ((data.categoryUsage || {})[category] || 0) >= categoryLimit) {
+        return 'category';
+    }
+    return null;
+}
 
-                if (userData.phone) {
-                    hasOwnerInfo = true;
-                    // Phone formats can vary (+91..., 98...), simple includes check or strict check
-                    // Ideally sanitize both. For now assuming similar formats from Firebase
-                    if (userPhone && (userData.phone === userPhone || userPhone.includes(userData.phone) || userData.phone.includes(userPhone))) {
-                        isMatch = true;
-                    }
-                }
+// Per-tier breakdown returned by getLimitStatus.
+function quotaBreakdown(policy, data) {
+    const monthLeft = monthlyRemaining(policy, data);
+    const categoryIds = new Set([
+        ...Object.keys(policy.categoryCosts || {}),
+        ...Object.keys(policy.categoryDailyLimits || {})
+    ]);
+    const categories = {};
+    for (const id of categoryIds) {
+        categories[id] = {
+            cost: planService.costFor(policy, id),
+            dailyLimit: planService.categoryLimitFor(policy, id),
+            usedToday: (data.categoryUsage || {})[id] || 0
+        };
+    }
 
-                // If owner info exists but NO match found (or requester sent nothing) -> DENY
-                if (hasOwnerInfo && !isMatch) {
-                    console.log(`[Limit] Premium mismatch. Owner: ${userData.email}/${userData.phone}, Requester: ${userEmail}/${userPhone}.`);
-                    return {
-                        allowed: userData.count > 0,
-                        remaining: userData.count,
-                        isPremium: false
-                    };
-                }
+    return {
+        tier: policy.id,
+        label: policy.label,
+        fairUse: !!policy.fairUse,
+        timezone: data.timezone,
+        resetsAt: planService.nextResetAt(data.timezone),
+        daily: { limit: policy.dailyCredits, used: data.dayUsed || 0, remaining: data.count || 0 },
+        monthly: monthLeft === null ? null : { limit: policy.monthlyCredits, used: data.monthUsed || 0, remaining: monthLeft },
+        defaultCost: planService.costFor(policy, null),
+        maxUploadBytes: policy.maxUploadBytes || null,
+        categories
+    };
+}
 
-                return {
-                    allowed: true,
-                    remaining: 9999,
-                    isPremium: true,
-                    expiryDate: userData.subscriptionExpiry,
-                    hasRated: userData.hasRated || false
-                };
-            }
+// `user` is the verified Firebase user ({ uid, email, phone }) or null for anonymous requests.
+// options.category checks that category's cost and daily limit; options.timezone is the
+// user's IANA timezone, used for the day/month rollover.
+async function getLimitStatus(deviceId, user = null, options = {}) {
+    if (!deviceId) return { allowed: false, remaining: 0, error: "No Device ID" };
+    const { category = null, timezone = null } = options;
+
+    try {
+        const db = getStore();
+        const deviceDoc = await db.collection('users').doc(deviceId).get();
+        const deviceData = deviceDoc.exists ? deviceDoc.data() : null;
+        const account = user ? await accountService.ensureAccount(user) : null;
+        const linkInfo = user ? { deviceLinked: accountService.isDeviceLinked(account, deviceId) } : {};
+
+        // Check Premium via Expiry Date
+        const source = premiumSource(deviceId, deviceData, account, user);
+        const premiumData = source === 'account' ? account : deviceData;
+        const policy = await planService.getPolicy(await tierFor(source, premiumData));
+
+        const quotaData = await refreshQuota(
+            quotaRef(deviceId, user),
+            creditLedger.ownerKey(deviceId, user),
+            user ? account : deviceData,
+            policy,
+            timezone,
+            user ? `account ${user.uid}` : deviceId
+        );
+        const blockedBy = quotaBlock(policy, quotaData, category);
+        const monthLeft = monthlyRemaining(policy, quotaData);
+        const common = {
+            allowed: !blockedBy,
+            ...(blockedBy ? { blockedBy } : {}),
+            remaining: monthLeft === null ? quotaData.count : Math.min(quotaData.count, monthLeft),
+            hasRated: quotaData.hasRated || false,
+            quota: quotaBreakdown(policy, quotaData)
+        };
+
+        if (source) {
+            return {
+                ...common,
+                isPremium: true,
+                expiryDate: premiumData.subscriptionExpiry,
+                premiumSource: source,
+                // Device premium can be moved onto the signed-in account via /api/premium/claim
+                claimable: source === 'device',
+                ...linkInfo
+            };
+        }
+
+        if (accountService.hasActivePremium(deviceData)) {
+            console.log(`[Limit] Premium mismatch on ${deviceId}. Owner: ${deviceData.ownerUid || deviceData.email || deviceData.phone}, Requester: ${user ? user.uid : 'anonymous'}.`);
         }
 
         return {
-            allowed: userData.count > 0,
-            remaining: userData.count,
+            ...common,
             isPremium: false,
-            hasRated: userData.hasRated || false
+            // Account premium only applies on linked devices
+            ...(user && accountService.hasActivePremium(account) ? { linkRequired: true } : {}),
+            ...linkInfo
         };
     } catch (e) {
         console.error("Error getting limit status:", e);
@@ -148,64 +288,134 @@ async function getLimitStatus(deviceId, userEmail = null, userPhone = null) {
     }
 }
 
-async function decrementLimit(deviceId, userEmail = null, userPhone = null) {
+// Charges one generation in `options.category` at the tier's credit cost, or
+// `options.count` generations at once (batches).
+// `options.cost` overrides the per-generation cost (e.g. refinement follow-ups, which have their own rule);
+// `options.type` is the ledger entry type and `options.details` its details.
+// Premium tiers are charged too, against their fair-use caps.
+// Returns { success, charge } where `charge` is what refundCharge needs to undo it, or
+// { success: false, error, insufficient } (insufficient: the balance doesn't cover the cost,
+// e.g. a concurrent request spent it).
+async function decrementLimit(deviceId, user = null, options = {}) {
+    const { category = null, cost: fixedCost = null, count = 1, type = 'generation', details = {} } = options;
     try {
-        const userRef = db.collection('users').doc(deviceId);
+        const db = getStore();
+        const deviceRef = db.collection('users').doc(deviceId);
+        const ref = quotaRef(deviceId, user);
         // Transaction to ensure atomic update
-        await db.runTransaction(async (t) => {
-            const doc = await t.get(userRef);
-            if (!doc.exists) return;
-            const data = doc.data();
+        const charge = await db.runTransaction(async (t) => {
+            const deviceDoc = await t.get(deviceRef);
+            const quotaDoc = user ? await t.get(ref) : deviceDoc;
+            if (!quotaDoc.exists) throw new Error("User not found");
+
+            // Validate again inside transaction: premium owned by the requester uses its tier,
+            // a mismatch is treated as a free user.
+            const deviceData = deviceDoc.exists ? deviceDoc.data() : null;
+            const data = quotaDoc.data();
+            const source = premiumSource(deviceId, deviceData, user ? data : null, user);
+            const policy = await planService.getPolicy(await tierFor(source, source === 'account' ? data : deviceData));
+            const unitCost = fixedCost !== null ? fixedCost : planService.costFor(policy, category);
+            const cost = unitCost * count;
+            if ((data.count || 0) < cost) {
+                const error = new Error("Not enough credits");
+                error.insufficient = true;
+                throw error;
+            }
 
-            // Validate again inside transaction
-            if (data.subscriptionExpiry && new Date(data.subscriptionExpiry) > new Date()) {
-                // PREMIUM DEVICE DETECTED.
-                // CHECK IF OWNER MATCHES.
-                let isMatch = false;
-                let hasOwnerInfo = false;
+            const categoryUsage = { ...(data.categoryUsage || {}) };
+            if (category) categoryUsage[category] = (categoryUsage[category] || 0) + count;
+
+            const entries = cost > 0 ? [{
+                type,
+                amount: -cost,
+                details: { deviceId, category, ...(count > 1 ? { count } : {}), ...details }
+            }] : [];
+            t.update(ref, {
+                dayUsed: (data.dayUsed || 0) + cost,
+                monthUsed: (data.monthUsed || 0) + cost,
+                categoryUsage,
+                ...creditLedger.appendInTransaction(t, creditLedger.ownerKey(deviceId, user), data, entries)
+            });
+            return { cost, unitCost, count, category, type, date: data.date };
+        });
+        return { success: true, charge };
+    } catch (e) {
+        console.error("Error decrementing:", e.message);
+        return { success: false, error: e.message, insufficient: !!e.insufficient };
+    }
+}
 
-                if (data.email) {
-                    hasOwnerInfo = true;
-                    if (userEmail && data.email.toLowerCase() === userEmail.toLowerCase()) isMatch = true;
-                }
-                if (data.phone) {
-                    hasOwnerInfo = true;
-                    if (userPhone && (data.phone === userPhone || userPhone.includes(data.phone) || data.phone.includes(userPhone))) isMatch = true;
-                }
+// Gives back a charge from decrementLimit whose generation failed. Today's usage is
+// only reduced when the charge was made today; after a reset the credits simply carry over.
+// Part of a batch charge is refunded as { ...charge, cost: charge.unitCost, count: 1 }.
+async function refundCharge(deviceId, user, charge, reason = null) {
+    if (!charge) return true;
+    try {
+        const db = getStore();
+        const ref = quotaRef(deviceId, user);
+        await db.runTransaction(async (t) => {
+            const doc = await t.get(ref);
+            if (!doc.exists) throw new Error("User not found");
+            const data = doc.data();
 
-                if (hasOwnerInfo && !isMatch) {
-                    // Mismatch! Treat as Free User -> DECREMENT
-                    // Proceed to decrement logic below
-                } else {
-                    return; // Premium User (Match or No Owner Info) -> Don't decrement
+            const changes = {};
+            if (data.date === charge.date) {
+                const categoryUsage = { ...(data.categoryUsage || {}) };
+                if (charge.category && categoryUsage[charge.category]) {
+                    categoryUsage[charge.category] = Math.max(categoryUsage[charge.category] - (charge.count || 1), 0);
                 }
+                Object.assign(changes, {
+                    dayUsed: Math.max((data.dayUsed || 0) - charge.cost, 0),
+                    monthUsed: Math.max((data.monthUsed || 0) - charge.cost, 0),
+                    categoryUsage
+                });
             }
-
-            if (data.count > 0) {
-                t.update(userRef, { count: data.count - 1 });
+            if (charge.cost > 0) {
+                Object.assign(changes, creditLedger.appendInTransaction(t, creditLedger.ownerKey(deviceId, user), data, [{
+                    type: 'refund',
+                    amount: charge.cost,
+                    details: { deviceId, category: charge.category || null, refundOf: charge.type, reason }
+                }]));
             }
+            if (Object.keys(changes).length) t.update(ref, changes);
         });
+        if (charge.cost > 0) console.log(`[Limit] Refunded ${charge.cost} credit(s) to ${user ? `account ${user.uid}` : deviceId}`);
         return true;
     } catch (e) {
-        console.error("Error decrementing:", e);
+        console.error("Error refunding charge:", e);
         return false;
     }
 }
 
-async function incrementLimit(deviceId) {
+// Adds one credit in exchange for a verified, unused ad reward (see adRewardService).
+async function incrementLimit(deviceId, rewardToken, user = null) {
     try {
-        const userRef = db.collection('users').doc(deviceId);
-        await userRef.update({ count: admin.firestore.FieldValue.increment(1) });
-        return { success: true };
+        const db = getStore();
+        const ref = quotaRef(deviceId, user);
+        let newCount = 0;
+        await db.runTransaction(async (t) => {
+            const doc = await t.get(ref);
+            if (!doc.exists) {
+                throw new Error("User not found");
+            }
+            const transactionId = await adRewardService.consumeInTransaction(t, deviceId, rewardToken, 'credit');
+            const fields = creditLedger.appendInTransaction(t, creditLedger.ownerKey(deviceId, user), doc.data(), [
+                { type: 'ad_reward', amount: 1, details: { deviceId, transactionId } }
+            ]);
+            newCount = fields.count;
+            t.update(ref, fields);
+        });
+        return { success: true, remaining: newCount };
     } catch (e) {
-        console.error("Error incrementing:", e);
-        return { success: false };
+        console.error("Error incrementing:", e.message);
+        return { success: false, error: e.message };
     }
 }
 
-async function claimRateReward(deviceId) {
+async function claimRateReward(deviceId, user = null) {
     try {
-        const userRef = db.collection('users').doc(deviceId);
+        const db = getStore();
+        const userRef = quotaRef(deviceId, user);
         let newCount = 0;
         
         await db.runTransaction(async (t) => {
@@ -219,12 +429,14 @@ async function claimRateReward(deviceId) {
                 throw new Error("Already rated");
             }
             
-            const currentCount = data.count || 0;
-            newCount = currentCount + 5;
+            const fields = creditLedger.appendInTransaction(t, creditLedger.ownerKey(deviceId, user), data, [
+                { type: 'rate_reward', amount: RATE_REWARD_CREDITS, details: { deviceId } }
+            ]);
+            newCount = fields.count;
             
             t.update(userRef, { 
                 hasRated: true,
-                count: newCount
+                ...fields
             });
         });
         
@@ -235,37 +447,145 @@ async function claimRateReward(deviceId) {
     }
 }
 
+// Recent credit activity (newest first) and the current balance.
+async function creditActivity(deviceId, user = null, { limit, offset, timezone = null } = {}) {
+    // Applies today's reset first, so the grant shows up
+    const status = await getLimitStatus(deviceId, user, { timezone });
+    if (status.error) return { success: false, status: 500, error: status.error };
+
+    const items = await creditLedger.activity(creditLedger.ownerKey(deviceId, user), { limit, offset });
+    return { success: true, balance: status.quota.daily.remaining, remaining: status.remaining, items };
+}
+
+// Premium is the sum of its grants, kept as `grants` on the entitlement document (the account,
+// or the device): { [grantId]: { source, plan, orderId, grantedAt, days, waitsUntil } } for day
+// passes (web purchases, one-time products, promo codes, admin grants) or { ..., expiresAt } for
+// store subscriptions, whose expiry Google Play reports. Day passes run one after another, and wait
+// for the subscriptions that were already there when they were granted, but only until the expiry
+// those had then (`waitsUntil`): renewals don't push a queued pass back. subscriptionExpiry,
+// isPremium and plan are recomputed from the grants on every change, so taking one grant back
+// (a refund, a lapsed subscription) only takes away what that grant gave.
+
+// Latest expiry of the subscriptions in `grants` granted no later than `grantedAt`, in ms.
+function subscriptionsEnd(grants, grantedAt) {
+    return Object.values(grants)
+        .filter(g => !g.days && g.grantedAt <= grantedAt)
+        .reduce((latest, sub) => Math.max(latest, Date.parse(sub.expiresAt) || 0), 0);
+}
+
+// When each grant starts and ends: { [grantId]: { start, end } } in ms.
+function grantPeriods(grants) {
+    const periods = {};
+    for (const [id, grant] of Object.entries(grants)) {
+        if (!grant.days) periods[id] = { start: Date.parse(grant.grantedAt), end: grant.expiresAt ? Date.parse(grant.expiresAt) : 0 };
+    }
+
+    let passesEnd = 0;
+    const passes = Object.entries(grants).filter(([, g]) => g.days).sort((a, b) => (a[1].grantedAt < b[1].grantedAt ? -1 : 1));
+    for (const [id, grant] of passes) {
+        // A subscription that ended early or was taken back stops the wait sooner
+        let waitFor = subscriptionsEnd(grants, grant.grantedAt);
+        if (grant.waitsUntil !== undefined) waitFor = Math.min(waitFor, Date.parse(grant.waitsUntil) || 0);
+        const start = Math.max(Date.parse(grant.grantedAt), waitFor, passesEnd);
+        passesEnd = start + grant.days * DAY_MS;
+        periods[id] = { start, end: passesEnd };
+    }
+    return periods;
+}
+
+// How a tier ranks against others: by its daily credits.
+function tierRank(plans, tier) {
+    const policy = plans.tiers[tier] || plans.tiers[planService.DEFAULT_PREMIUM_TIER];
+    return policy ? policy.dailyCredits || 0 : 0;
+}
+
+// The entitlement fields for `grants`: premium until the last grant ends, on the highest tier of
+// the grants running now, so a promo or a shorter pass never lowers a subscriber's plan and a
+// queued pass doesn't change it before its turn.
+function entitlementFrom(grants, plans, now = Date.now()) {
+    const periods = grantPeriods(grants);
+    let last = null;
+    let top = null;
+    for (const [id, { start, end }] of Object.entries(periods)) {
+        if (!last || end > periods[last].end) last = id;
+        const running = start <= now && now < end;
+        if (running && (!top || tierRank(plans, grants[id].plan) > tierRank(plans, grants[top].plan))) top = id;
+    }
+    const expiry = last ? periods[last].end : 0;
+    const planGrant = top || last;
+    return {
+        grants,
+        subscriptionExpiry: expiry ? new Date(expiry).toISOString() : null,
+        isPremium: expiry > now,
+        ...(planGrant ? { plan: grants[planGrant].plan } : {})
+    };
+}
+
+// The document's grants. Premium from before grants existed becomes one subscription-like grant.
+function grantsOf(data, nowIso) {
+    if (data.grants) return { ...data.grants };
+    if (!accountService.hasActivePremium(data)) return {};
+    return {
+        legacy: {
+            source: 'legacy',
+            plan: data.plan || planService.DEFAULT_PREMIUM_TIER,
+            orderId: null,
+            grantedAt: nowIso,
+            expiresAt: data.subscriptionExpiry
+        }
+    };
+}
+
+// Grants premium: `days` more, or until paymentDetails.expiresAt for store subscriptions (applying
+// the same subscription again just moves its expiry). paymentDetails.grantId names the grant;
+// it defaults to source + orderId. With paymentDetails.uid the entitlement goes on that account
+// (and the purchasing device is linked to it); otherwise on the device.
 async function upgradeUser(deviceId, days = 30, paymentDetails = {}) {
     try {
-        const userRef = db.collection('users').doc(deviceId);
-        const doc = await userRef.get();
-
+        const db = getStore();
+        const uid = paymentDetails.uid || null;
+        const entitlementRef = uid ? accountService.accountRef(uid) : db.collection('users').doc(deviceId);
+        const source = paymentDetails.source || 'grant';
+        const grantId = paymentDetails.grantId || `${source}:${paymentDetails.orderId || crypto.randomUUID()}`;
+        const plans = await planService.loadPlans();
         const now = new Date();
-        let currentExpiry = now;
 
-        if (doc.exists) {
-            const data = doc.data();
-            if (data.subscriptionExpiry) {
-                const exp = new Date(data.subscriptionExpiry);
-                if (exp > now) currentExpiry = exp;
-            }
-        }
+        const entitlement = await db.runTransaction(async (t) => {
+            const doc = await t.get(entitlementRef);
+            const data = doc.exists ? doc.data() : {};
+            const grants = grantsOf(data, now.toISOString());
+            const existing = grants[grantId];
+            // Extensions without an explicit plan keep the tier already held
+            const plan = paymentDetails.plan || (existing && existing.plan)
+                || (accountService.hasActivePremium(data) && data.plan) || planService.DEFAULT_PREMIUM_TIER;
+            const grant = {
+                source,
+                plan,
+                orderId: paymentDetails.orderId || null,
+                grantedAt: existing ? existing.grantedAt : now.toISOString()
+            };
 
-        // Add days
-        currentExpiry.setDate(currentExpiry.getDate() + days);
+            if (paymentDetails.expiresAt) {
+                grants[grantId] = { ...grant, expiresAt: new Date(paymentDetails.expiresAt).toISOString() };
+            } else if (!existing) {
+                const waitsUntil = subscriptionsEnd(grants, grant.grantedAt);
+                grants[grantId] = { ...grant, days, waitsUntil: waitsUntil ? new Date(waitsUntil).toISOString() : null };
+            }
+            const fields = entitlementFrom(grants, plans, now.getTime());
+            t.set(entitlementRef, { ...fields, ...(uid ? { uid } : {}) }, { merge: true });
+            return fields;
+        });
 
-        // Update users collection
-        await userRef.set({
-            subscriptionExpiry: currentExpiry.toISOString(),
-            isPremium: true
-        }, { merge: true });
+        if (uid) {
+            await linkPurchasingDevice(uid, deviceId);
+        }
 
         // Also add to premium_users collection for tracking
         const premiumUserRef = db.collection('premium_users').doc(deviceId);
         await premiumUserRef.set({
             deviceId: deviceId,
-            subscriptionExpiry: currentExpiry.toISOString(),
-            isPremium: true,
+            subscriptionExpiry: entitlement.subscriptionExpiry,
+            isPremium: entitlement.isPremium,
             upgradedAt: now.toISOString(),
             planDuration: days,
             email: paymentDetails.email || null,
@@ -273,9 +593,13 @@ async function upgradeUser(deviceId, days = 30, paymentDetails = {}) {
             orderId: paymentDetails.orderId || null,
             paymentId: paymentDetails.paymentId || null,
             amount: paymentDetails.amount || null,
+            source: paymentDetails.source || null,
+            productId: paymentDetails.productId || null,
+            plan: entitlement.plan,
+            uid: uid,
         }, { merge: true });
 
-        console.log(`User ${deviceId} upgraded to Premium. Expiry: ${currentExpiry.toISOString()}`);
+        console.log(`User ${uid ? `account ${uid} (device ${deviceId})` : deviceId} upgraded to Premium (${grantId}). Expiry: ${entitlement.subscriptionExpiry}`);
         return true;
     } catch (e) {
         console.error("Error upgrading user:", e);
@@ -283,10 +607,174 @@ async function upgradeUser(deviceId, days = 30, paymentDetails = {}) {
     }
 }
 
+// Takes back one grant (refunds, voided or lapsed store purchases); premium from other grants stays.
+// Premium from before grants existed can't be split up, so there details.days (the order's days,
+// if known) come off its expiry instead. details.uid targets the account entitlement instead of the device.
+async function revokeGrant(deviceId, grantId, details = {}) {
+    try {
+        const db = getStore();
+        const entitlementRef = details.uid ? accountService.accountRef(details.uid) : db.collection('users').doc(deviceId);
+        const plans = await planService.loadPlans();
+
+        const result = await db.runTransaction(async (t) => {
+            const doc = await t.get(entitlementRef);
+            if (!doc.exists) return null;
+            const data = doc.data();
+
+            if (!data.grants) {
+                if (!accountService.hasActivePremium(data) || !details.days) return null;
+                const expiry = Date.parse(data.subscriptionExpiry) - details.days * DAY_MS;
+                const fields = {
+                    subscriptionExpiry: expiry > Date.now() ? new Date(expiry).toISOString() : null,
+                    isPremium: expiry > Date.now()
+                };
+                t.update(entitlementRef, fields);
+                return fields;
+            }
+            if (!data.grants[grantId]) return null;
+
+            const grants = { ...data.grants };
+            delete grants[grantId];
+            const fields = entitlementFrom(grants, plans);
+            t.update(entitlementRef, fields);
+            return fields;
+        });
+
+        if (!result) return true;
+
+        await db.collection('premium_users').doc(deviceId).set({
+            deviceId: deviceId,
+            subscriptionExpiry: result.subscriptionExpiry,
+            isPremium: result.isPremium,
+            ...(result.isPremium ? {} : { downgradedAt: new Date().toISOString(), downgradeReason: details.reason || null })
+        }, { merge: true });
+
+        console.log(`Grant ${grantId} of ${details.uid ? `account ${details.uid} (device ${deviceId})` : deviceId} revoked. Reason: ${details.reason || 'unspecified'}. Expiry now: ${result.subscriptionExpiry}`);
+        return true;
+    } catch (e) {
+        console.error("Error revoking grant:", e);
+        return false;
+    }
+}
+
+// Best effort: a full account still gets the entitlement, the device just isn't linked.
+async function linkPurchasingDevice(uid, deviceId) {
+    const db = getStore();
+    try {
+        await db.runTransaction(async (t) => {
+            const accountDoc = await t.get(accountService.accountRef(uid));
+            const deviceDoc = await t.get(db.collection('users').doc(deviceId));
+            accountService.linkInTransaction(t, uid, accountDoc.data(), deviceId, deviceDoc.exists ? deviceDoc.data() : null, null);
+        });
+    } catch (e) {
+        console.log(`[Limit] Could not link purchasing device ${deviceId} to ${uid}: ${e.message}`);
+    }
+}
+
+// Explicit, authenticated claim of a device's premium by a signed-in user.
+// Orphan premium (no owner) can be claimed by anyone signed in on the device;
+// legacy email/phone-owned premium only by the user whose verified email/phone matches.
+// The entitlement moves onto the user's account and the device is linked to it.
+async function claimPremium(deviceId, user) {
+    try {
+        const db = getStore();
+        const userRef = db.collection('users').doc(deviceId);
+        const accountRef = accountService.accountRef(user.uid);
+        let expiry = null;
+
+        await accountService.ensureAccount(user);
+        const plans = await planService.loadPlans();
+        await db.runTransaction(async (t) => {
+            const doc = await t.get(userRef);
+            const accountDoc = await t.get(accountRef);
+            const data = doc.exists ? doc.data() : {};
+            const account = accountDoc.data();
+
+            if (!accountService.hasActivePremium(data)) {
+                throw new Error("No active premium on this device");
+            }
+            if (data.ownerUid && data.ownerUid !== user.uid) {
+                throw new Error("Premium already belongs to another account");
+            }
+            if (!data.ownerUid && (data.email || data.phone) && !legacyOwnerMatches(data, user)) {
+                throw new Error("Premium belongs to a different email or phone");
+            }
+
+            accountService.linkInTransaction(t, user.uid, account, deviceId, data);
+
+            // The device's grants join the account's
+            const now = new Date().toISOString();
+            const deviceGrants = Object.entries(grantsOf(data, now)).map(([id, grant]) => [id === 'legacy' ? `legacy:${deviceId}` : id, grant]);
+            const entitlement = entitlementFrom({ ...grantsOf(account, now), ...Object.fromEntries(deviceGrants) }, plans);
+            expiry = entitlement.subscriptionExpiry;
+
+            t.set(accountRef, {
+                ...entitlement,
+                email: user.email || account.email || data.email || null,
+                phone: user.phone || account.phone || data.phone || null
+            }, { merge: true });
+            t.update(userRef, {
+                ownerUid: user.uid,
+                grants: {},
+                subscriptionExpiry: null,
+                isPremium: false,
+                claimedAt: now
+            });
+        });
+
+        await db.collection('premium_users').doc(deviceId).set({
+            uid: user.uid,
+            email: user.email || null,
+            phone: user.phone || null
+        }, { merge: true });
+
+        console.log(`[Limit] Premium on ${deviceId} claimed by ${user.uid}`);
+        return { success: true, expiryDate: expiry };
+    } catch (e) {
+        console.log(`[Limit] Premium claim on ${deviceId} rejected: ${e.message}`);
+        return { success: false, error: e.message };
+    }
+}
+
+// Counterpart of upgradeUser: ends all premium immediately, whatever granted it (admin revocations).
+// details.uid targets the account entitlement instead of the device.
+async function downgradeUser(deviceId, details = {}) {
+    try {
+        const db = getStore();
+        const now = new Date().toISOString();
+        const entitlementRef = details.uid ? accountService.accountRef(details.uid) : db.collection('users').doc(deviceId);
+
+        const fields = { grants: {}, subscriptionExpiry: null, isPremium: false };
+        const doc = await entitlementRef.get();
+        // update() replaces `grants`, where a merge would keep the old ones
+        await (doc.exists ? entitlementRef.update(fields) : entitlementRef.set(fields, { merge: true }));
+
+        await db.collection('premium_users').doc(deviceId).set({
+            deviceId: deviceId,
+            subscriptionExpiry: null,
+            isPremium: false,
+            downgradedAt: now,
+            downgradeReason: details.reason || null
+        }, { merge: true });
+
+        console.log(`User ${details.uid ? `account ${details.uid} (device ${deviceId})` : deviceId} downgraded from Premium. Reason: ${details.reason || 'unspecified'}`);
+        return true;
+    } catch (e) {
+        console.error("Error downgrading user:", e);
+        return false;
+    }
+}
+
 module.exports = {
+    quotaRef,
     getLimitStatus,
     decrementLimit,
+    refundCharge,
     incrementLimit,
     claimRateReward,
-    upgradeUser
+    creditActivity,
+    upgradeUser,
+    revokeGrant,
+    downgradeUser,
+    claimPremium
 };
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { getProvider } = require('./providers');
+
+// Model selection, retries and fallback on top of the providers/ layer.
+//
+// config/models.json (or LLM_MODELS_CONFIG) lists "provider:model" targets in
+// order of preference, per category with a default chain. Each target is retried
+// with exponential backoff + jitter on transient errors (429, 5xx, network), then
+// the next target in the chain is tried. LLM_PROVIDER=mock routes every call to
+// the offline mock provider. `pricing` holds USD per million input/output tokens per
+// "provider:model", used for cost estimates in the request log.
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'config', 'models.json');
+const STATIC_MODEL = 'mock-model';
+
+let config = null;
+
+function loadConfig() {
+    if (!config) {
+        config = JSON.parse(fs.readFileSync(process.env.LLM_MODELS_CONFIG || DEFAULT_CONFIG_PATH, 'utf8'));
+    }
+    return config;
+}
+
+function parseTarget(target) {
+    const [provider, ...rest] = target.split(':');
+    return { provider, model: rest.join(':') };
+}
+
+// Ordered list of { provider, model } to try for a category.
+function getModelChain(category) {
+    if (process.env.LLM_PROVIDER === 'mock') {
+        return [{ provider: 'mock', model: STATIC_MODEL }];
+    }
+    const { default: defaults, categories = {} } = loadConfig();
+    const chain = (category && categories[category]) || defaults;
+    return chain.map(parseTarget);
+}
+
+function isRetryable(error) {
+    if (error.name === 'AbortError') return false;
+    if (!error.status) return true; // network errors
+    return error.status === 429 || error.status >= 500;
+}
+
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                const error = new Error('This operation was aborted');
+                error.name = 'AbortError';
+                reject(error);
+            }, { once: true });
+        }
+    });
+}
+
+// Runs call(provider, model) over the chain. Resolves with the first success plus
+// { provider, model, attempts }, or rejects with the last error.
+async function runWithFallback(category, signal, call) {
+    const retry = loadConfig().retry || { maxRetries: 2, baseDelayMs: 1000, maxDelayMs: 8000 };
+    const chain = getModelChain(category);
+    let attempts = 0;
+    let lastError;
+
+    for (const target of chain) {
+        const provider = getProvider(target.provider);
+        for (let attempt = 0; attempt <= retry.maxRetries; attempt++) {
+            attempts++;
+            try {
+                const result = await call(provider, target.model);
+                return { ...result, provider: target.provider, model: target.model, attempts };
+            } catch (error) {
+                lastError = error;
+                if (!isRetryable(error) || (signal && signal.aborted)) throw error;
+
+                if (attempt < retry.maxRetries) {
+                    const delay = backoffDelay(attempt, retry);
+                    console.log(`[LLM] ${target.provider}:${target.model} failed (${error.status || error.message}). Retrying in ${delay}ms...`);
+                    await sleep(delay, signal);
+                }
+            }
+        }
+        console.log(`[LLM] Giving up on ${target.provider}:${target.model}, trying next model.`);
+    }
+
+    throw lastError;
+}
+
+// Primes the chat with the category's system instruction, followed by any earlier turns.
+function buildHistory(systemInstruction, history = []) {
+    return [
+        {
+            role: "user",
+            parts: [{ text: systemInstruction }],
+        },
+        {
+            role: "model",
+            parts: [{ text: "Understood. I will act as the expert defined above." }],
+        },
+        ...history
+    ];
+}
+
+// Returns { text, usage, provider, model, attempts }.
+// responseSchema (optional) asks the provider for JSON matching that schema.
+async function generate({ category, systemInstruction, history, parts, signal, responseSchema }) {
+    const fullHistory = buildHistory(systemInstruction, history);
+    return runWithFallback(category, signal, (provider, model) =>
+        provider.generate({ model, history: fullHistory, parts, signal, responseSchema })
+    );
+}
+
+// Returns { stream, response, provider, model, attempts } once a model has started responding.
+// Fallback only applies before the first chunk; later errors surface from the stream.
+async function generateStream({ category, systemInstruction, history, parts, signal, responseSchema }) {
+    const fullHistory = buildHistory(systemInstruction, history);
+    return runWithFallback(category, signal, (provider, model) =>
+        provider.generateStream({ model, history: fullHistory, parts, signal, responseSchema })
+    );
+}
+
+// Estimated USD cost of one call, or null if the model has no pricing entry.
+function estimateCost(provider, model, usage) {
+    if (!usage) return null;
+    const price = (loadConfig().pricing || {})[`${provider}:${model}`];
+    if (!price) return null;
+    return (usage.promptTokens * price.inputPerMillion + usage.outputTokens * price.outputPerMillion) / 1e6;
+}
+
+// Lists the models each provider reports, for discovery.
+async function listModels(providerName) {
+    return getProvider(providerName).listModels();
+}
+
+module.exports = {
+    generate,
+    generateStream,
+    listModels,
+    getModelChain,
+    estimateCost
+};
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+// Moderation of generation inputs (before the model call) and outputs (after it).
+//
+// The default PatternModerator matches the regexes in config/moderation.json
+// (MODERATION_CONFIG_PATH points at another file): `input` and `output` each map a
+// category name to a list of case-insensitive patterns. MODERATION=off disables checks.
+// A blocked generation is never charged.
+
+const CONFIG_PATH = process.env.MODERATION_CONFIG_PATH || path.join(__dirname, 'config', 'moderation.json');
+
+class PatternModerator {
+    constructor(config) {
+        this.rules = {};
+        for (const stage of ['input', 'output']) {
+            this.rules[stage] = Object.entries(config[stage] || {}).map(([category, patterns]) => ({
+                category,
+                patterns: patterns.map(p => new RegExp(p, 'i'))
+            }));
+        }
+    }
+
+    // Returns the categories `text` falls into at this stage ('input' | 'output').
+    async check(text, stage) {
+        return this.rules[stage]
+            .filter(rule => rule.patterns.some(re => re.test(text)))
+            .map(rule => rule.category);
+    }
+}
+
+class NoopModerator {
+    async check() {
+        return [];
+    }
+}
+
+let moderator = null;
+
+function getModerator() {
+    if (!moderator) {
+        if (process.env.MODERATION === 'off') {
+            console.warn("[Moderation] Disabled (MODERATION=off).");
+            moderator = new NoopModerator();
+        } else {
+            moderator = new PatternModerator(JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')));
+        }
+    }
+    return moderator;
+}
+
+function setModerator(newModerator) {
+    moderator = newModerator;
+}
+
+// Thrown for blocked output so routes can answer with its status like any provider error.
+function blockedError(categories) {
+    const error = new Error("The generated content was blocked by moderation");
+    error.status = 422;
+    error.body = { code: 'content_blocked', categories };
+    return error;
+}
+
+// Checks every string input. Returns { allowed, categories }.
+async function checkInputs(inputs) {
+    const text = Object.values(inputs || {}).filter(v => typeof v === 'string').join('\n');
+    const categories = text ? await getModerator().check(text, 'input') : [];
+    if (categories.length) console.log(`[Moderation] Input blocked: ${categories.join(', ')}`);
+    return { allowed: categories.length === 0, categories };
+}
+
+async function checkOutput(text) {
+    const categories = text ? await getModerator().check(text, 'output') : [];
+    if (categories.length) console.log(`[Moderation] Output blocked: ${categories.join(', ')}`);
+    return { allowed: categories.length === 0, categories };
+}
+
+module.exports = {
+    checkInputs,
+    checkOutput,
+    blockedError,
+    getModerator,
+    setModerator,
+    PatternModerator,
+    NoopModerator
+};
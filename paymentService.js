@@ -1,52 +1,503 @@
 const Razorpay = require('razorpay');
 const crypto = require('crypto');
 require('dotenv').config(); // Ensure env is loaded even if called separately or if inheritance fails
+const { getStore } = require('./storage');
+const productCatalog = require('./productCatalog');
+const limitService = require('./limitService');
 
-// Initialize Razorpay
-// TODO: Replace with real keys from .env
-const instance = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_placeholder',
-    key_secret: process.env.RAZORPAY_KEY_SECRET || 'secret_placeholder',
-});
-
-async function createOrder(amount) {
-    // Validation
-    console.log("Creating Order with Key:", process.env.RAZORPAY_KEY_ID ? "Found" : "Missing");
-    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
-        throw new Error("Razorpay Keys are missing in backend .env");
-    }
-
-    // Force Real Order Creation
-    const options = {
-        amount: amount * 100, // Amount in paise
-        currency: "INR",
-        receipt: "receipt#" + Date.now(),
-    };
-    try {
-        const order = await instance.orders.create(options);
+// Razorpay web checkout (web and iOS users), the second payment channel next to Google Play.
+//
+// 1. /api/create-order creates a Razorpay order for a catalog product (its `razorpay` price)
+//    and records it in `orders` (doc ID = Razorpay order ID), pinned to the device / account.
+// 2. After checkout, /api/verify-payment checks the signature, re-reads the payment from
+//    Razorpay and grants premium.
+// 3. The webhook (/api/razorpay/webhook, X-Razorpay-Signature) covers payments whose client
+//    never came back, failures and refunds. Each event ID is handled once (`razorpay_events`).
+//
+// Whichever of verify, webhook or the reconciliation job sees a paid order first fulfills it;
+// the order's state makes sure each payment grants premium exactly once.
+//
+// RAZORPAY_MODE=test swaps in an in-memory client whose `order_mock_` orders skip the
+// signature check. Outside test mode every payment needs a valid signature.
+
+const TEST_MODE = process.env.RAZORPAY_MODE === 'test';
+const MOCK_ORDER_PREFIX = 'order_mock_';
+const PAID_STATES = ['captured', 'authorized'];
+
+// The premium grant an order backs (see limitService.upgradeUser).
+function grantIdFor(orderId) {
+    return `razorpay:${orderId}`;
+}
+
+// An order still "fulfilling" after this long is assumed to have crashed and is retried.
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+class RazorpayApiClient {
+    constructor({ keyId, keySecret }) {
+        this.keyId = keyId;
+        this.instance = new Razorpay({ key_id: keyId, key_secret: keySecret });
+    }
+
+    async _call(fn) {
+        try {
+            return await fn();
+        } catch (e) {
+            const error = new Error((e.error && e.error.description) || e.message);
+            error.status = e.statusCode;
+            throw error;
+        }
+    }
+
+    async createOrder(options) {
+        return this._call(() => this.instance.orders.create(options));
+    }
+
+    async fetchPayment(paymentId) {
+        return this._call(() => this.instance.payments.fetch(paymentId));
+    }
+
+    async fetchOrderPayments(orderId) {
+        const result = await this._call(() => this.instance.orders.fetchPayments(orderId));
+        return result.items || [];
+    }
+}
+
+// In-memory stand-in for RAZORPAY_MODE=test. Unknown payment IDs are treated as
+// captured payments for the order they are verified against.
+class FakeRazorpayClient {
+    constructor() {
+        this.keyId = 'rzp_test_mock';
+        this.orders = new Map();
+        this.payments = new Map();
+    }
+
+    async createOrder(options) {
+        const order = { id: MOCK_ORDER_PREFIX + crypto.randomBytes(8).toString('hex'), status: 'created', ...options };
+        this.orders.set(order.id, order);
         return order;
-    } catch (error) {
-        console.error("Razorpay Order Error Details:", JSON.stringify(error, null, 2));
-        throw error;
     }
+
+    addPayment(payment) {
+        this.payments.set(payment.id, payment);
+    }
+
+    async fetchPayment(paymentId, { orderId } = {}) {
+        if (!this.payments.has(paymentId)) {
+            const order = this.orders.get(orderId);
+            if (!order) {
+                const error = new Error('The id provided does not exist');
+                error.status = 400;
+                throw error;
+            }
+            this.addPayment({ id: paymentId, order_id: orderId, amount: order.amount, currency: order.currency, status: 'captured' });
+        }
+        return this.payments.get(paymentId);
+    }
+
+    async fetchOrderPayments(orderId) {
+        return [...this.payments.values()].filter(p => p.order_id === orderId);
+    }
+}
+
+let client = null;
+
+function getRazorpayClient() {
+    if (!client) {
+        if (TEST_MODE) {
+            console.warn("[Razorpay] Test mode: using the in-memory client. Mock orders are NOT verified.");
+            client = new FakeRazorpayClient();
+        } else {
+            const keyId = process.env.RAZORPAY_KEY_ID;
+            const keySecret = process.env.RAZORPAY_KEY_SECRET;
+            if (!keyId || !keySecret) {
+                throw new Error("Razorpay is not configured (RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET missing)");
+            }
+            client = new RazorpayApiClient({ keyId, keySecret });
+        }
+    }
+    return client;
+}
+
+function setRazorpayClient(newClient) {
+    client = newClient;
+}
+
+function safeEqual(a, b) {
+    const given = Buffer.from(String(a || ''));
+    const expected = Buffer.from(String(b));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function hmac(secret, text) {
+    return crypto.createHmac('sha256', secret).update(text).digest('hex');
+}
+
+// Checkout signature: HMAC-SHA256(order_id + "|" + payment_id) with the key secret.
+function verifySignature(orderId, paymentId, signature) {
+    if (TEST_MODE && orderId.startsWith(MOCK_ORDER_PREFIX)) return true;
+
+    const secret = process.env.RAZORPAY_KEY_SECRET;
+    if (!secret) return false;
+    return safeEqual(signature, hmac(secret, `${orderId}|${paymentId}`));
+}
+
+// Webhook signature: HMAC-SHA256 of the raw request body with the webhook secret.
+// Unconfigured means rejected.
+function verifyWebhookSignature(rawBody, signature) {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret) {
+        console.error("[Razorpay] Webhook secret is not configured (RAZORPAY_WEBHOOK_SECRET).");
+        return false;
+    }
+    if (!rawBody || !signature) return false;
+    return safeEqual(signature, hmac(secret, rawBody));
+}
+
+function orderRef(orderId) {
+    return getStore().collection('orders').doc(orderId);
+}
+
+// Creates a Razorpay order for a catalog product.
+// Returns { success, orderId, amount, currency, keyId } or { success: false, status, error }.
+async function createOrder({ deviceId, productId, uid = null }) {
+    if (!deviceId || !productId) {
+        return { success: false, status: 400, error: "Missing order details" };
+    }
+    const product = productCatalog.getProduct(productId);
+    if (!product || !product.razorpay) {
+        return { success: false, status: 400, error: "Unknown product" };
+    }
+
+    const { amount, currency } = product.razorpay;
+    let order;
+    try {
+        order = await getRazorpayClient().createOrder({
+            amount,
+            currency,
+            receipt: `rcpt_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+            notes: { deviceId, productId, uid: uid || '' }
+        });
+    } catch (e) {
+        console.error("[Razorpay] Order creation failed:", e.message);
+        return { success: false, status: 502, error: "Could not create order" };
+    }
+
+    const now = new Date().toISOString();
+    await orderRef(order.id).set({
+        source: 'razorpay',
+        deviceId,
+        uid,
+        productId,
+        plan: product.plan,
+        orderId: order.id,
+        amount,
+        currency,
+        state: 'created',
+        testMode: TEST_MODE,
+        createdAt: now,
+        updatedAt: now
+    });
+
+    console.log(`[Razorpay] Created order ${order.id} (${productId}) for ${deviceId}`);
+    return { success: true, orderId: order.id, amount, currency, productId, keyId: getRazorpayClient().keyId };
+}
+
+// Claims a paid order for fulfillment. Returns 'claimed', 'fulfilled', 'in_progress' or 'refunded'.
+async function claimFulfillment(orderId, payment) {
+    const db = getStore();
+    const ref = orderRef(orderId);
+    return db.runTransaction(async (t) => {
+        const doc = await t.get(ref);
+        const data = doc.data();
+        if (data.state === 'paid') return 'fulfilled';
+        if (data.state === 'refunded') return 'refunded';
+        if (data.state === 'fulfilling' && Date.now() - new Date(data.claimedAt).getTime() < STALE_CLAIM_MS) {
+            return 'in_progress';
+        }
+        t.update(ref, {
+            state: 'fulfilling',
+            paymentId: payment.id,
+            claimedAt: new Date().toISOString()
+        });
+        return 'claimed';
+    });
+}
+
+// Grants premium for a paid order, once. `via` records which path got there first.
+// Returns { success, alreadyFulfilled } or { success: false, status, error }.
+async function fulfillOrder(order, payment, via) {
+    if (payment.order_id !== order.orderId) {
+        return { success: false, status: 400, error: "Payment does not match order" };
+    }
+    if (!PAID_STATES.includes(payment.status)) {
+        return { success: false, status: 402, error: "Payment is not complete" };
+    }
+    if (payment.amount !== order.amount || (payment.currency && payment.currency !== order.currency)) {
+        console.error(`[Razorpay] Amount mismatch on ${order.orderId}: paid ${payment.amount} ${payment.currency}, expected ${order.amount} ${order.currency}`);
+        return { success: false, status: 400, error: "Payment does not match order" };
+    }
+
+    const claim = await claimFulfillment(order.orderId, payment);
+    if (claim === 'fulfilled') return { success: true, alreadyFulfilled: true };
+    if (claim === 'in_progress') return { success: false, status: 409, error: "Payment is being processed" };
+    if (claim === 'refunded') return { success: false, status: 409, error: "Payment was refunded" };
+
+    const product = productCatalog.getProduct(order.productId);
+    const upgraded = await limitService.upgradeUser(order.deviceId, product ? product.days : 30, {
+        uid: order.uid || null,
+        grantId: grantIdFor(order.orderId),
+        source: 'razorpay',
+        orderId: order.orderId,
+        paymentId: payment.id,
+        amount: payment.amount,
+        productId: order.productId,
+        plan: order.plan,
+        email: payment.email || null,
+        phone: payment.contact || null
+    });
+    if (!upgraded) {
+        // Let the next verify / webhook / reconciliation retry
+        await orderRef(order.orderId).update({ state: 'created', claimedAt: null });
+        return { success: false, status: 500, error: "Could not activate premium" };
+    }
+
+    const now = new Date().toISOString();
+    await orderRef(order.orderId).update({
+        state: 'paid',
+        paymentId: payment.id,
+        paymentMethod: payment.method || null,
+        paidAt: now,
+        fulfilledVia: via,
+        updatedAt: now
+    });
+    console.log(`[Razorpay] Order ${order.orderId} paid (${payment.id}) via ${via}, premium granted to ${order.deviceId}`);
+    return { success: true, alreadyFulfilled: false };
 }
 
-function verifyPayment(orderId, paymentId, signature) {
-    if (orderId.startsWith("order_mock_")) return true;
+// Verifies a Checkout response and grants premium.
+// Returns { success, orderId, expiryDate } or { success: false, status, error }.
+// `user` is the verified Firebase user, or null.
+async function verifyPayment({ orderId, paymentId, signature, deviceId, user = null }) {
+    const uid = user ? user.uid : null;
+    if (!orderId || !paymentId || !signature || !deviceId) {
+        return { success: false, status: 400, error: "Missing payment details" };
+    }
 
-    const text = orderId + "|" + paymentId;
-    const generated_signature = crypto
-        .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || 'secret_placeholder')
-        .update(text.toString())
-        .digest('hex');
+    const doc = await orderRef(orderId).get();
+    if (!doc.exists || doc.data().source !== 'razorpay') {
+        return { success: false, status: 404, error: "Order not found" };
+    }
+    const order = doc.data();
+    const sameAccount = uid && order.uid === uid;
+    if (order.deviceId !== deviceId && !sameAccount) {
+        return { success: false, status: 403, error: "Order belongs to another device" };
+    }
+    if (!verifySignature(orderId, paymentId, signature)) {
+        console.log(`[Razorpay] Invalid signature for ${orderId} from ${deviceId}`);
+        return { success: false, status: 400, error: "Invalid payment signature" };
+    }
 
-    if (generated_signature === signature) {
-        return true;
+    let payment;
+    try {
+        payment = await getRazorpayClient().fetchPayment(paymentId, { orderId });
+    } catch (e) {
+        console.error("[Razorpay] Payment lookup failed:", e.message);
+        if (e.status && e.status < 500) {
+            return { success: false, status: 400, error: "Invalid payment" };
+        }
+        return { success: false, status: 502, error: "Could not reach Razorpay" };
     }
-    return false;
+
+    const result = await fulfillOrder(order, payment, 'verify');
+    if (!result.success) return result;
+
+    const status = await limitService.getLimitStatus(order.deviceId, user);
+    return {
+        success: true,
+        alreadyFulfilled: result.alreadyFulfilled,
+        orderId,
+        expiryDate: status.expiryDate || null
+    };
+}
+
+// Claims a webhook event. Returns 'claimed', 'duplicate' or 'in_progress'.
+async function claimEvent(eventId) {
+    const db = getStore();
+    const ref = db.collection('razorpay_events').doc(eventId);
+    return db.runTransaction(async (t) => {
+        const doc = await t.get(ref);
+        if (doc.exists) {
+            const data = doc.data();
+            if (data.status === 'processed') return 'duplicate';
+            if (data.status === 'processing' && Date.now() - new Date(data.claimedAt).getTime() < STALE_CLAIM_MS) {
+                return 'in_progress';
+            }
+        }
+        t.set(ref, { status: 'processing', claimedAt: new Date().toISOString() }, { merge: true });
+        return 'claimed';
+    });
+}
+
+async function loadOrder(orderId) {
+    if (!orderId) return null;
+    const doc = await orderRef(orderId).get();
+    return doc.exists && doc.data().source === 'razorpay' ? doc.data() : null;
+}
+
+async function handleCaptured(payment) {
+    const order = await loadOrder(payment.order_id);
+    if (!order) return 'ignored_unknown_order';
+    const result = await fulfillOrder(order, payment, 'webhook');
+    if (result.status === 409 && result.error === "Payment is being processed") {
+        // Make Razorpay redeliver once the other path has finished
+        throw Object.assign(new Error(result.error), { status: 409 });
+    }
+    if (!result.success) return `rejected: ${result.error}`;
+    return result.alreadyFulfilled ? 'already_fulfilled' : 'fulfilled';
+}
+
+async function handleFailed(payment) {
+    const order = await loadOrder(payment.order_id);
+    if (!order) return 'ignored_unknown_order';
+    // A failed attempt doesn't undo an order that was paid by another attempt
+    if (order.state !== 'created') return 'ignored';
+    await orderRef(order.orderId).update({
+        lastFailure: {
+            paymentId: payment.id,
+            code: payment.error_code || null,
+            reason: payment.error_description || null,
+            at: new Date().toISOString()
+        },
+        updatedAt: new Date().toISOString()
+    });
+    return 'recorded_failure';
+}
+
+// Full refunds revoke the premium the order granted; partial refunds are only recorded.
+async function handleRefund(refund, payment) {
+    const order = await loadOrder(payment && payment.order_id);
+    if (!order) return 'ignored_unknown_order';
+
+    const refunded = (payment.amount_refunded !== undefined ? payment.amount_refunded : refund.amount) || 0;
+    const now = new Date().toISOString();
+    if (refunded < order.amount) {
+        await orderRef(order.orderId).update({ amountRefunded: refunded, updatedAt: now });
+        return 'recorded_partial_refund';
+    }
+    if (order.state === 'refunded') return 'already_refunded';
+
+    await orderRef(order.orderId).update({
+        state: 'refunded',
+        amountRefunded: refunded,
+        refundId: refund.id || null,
+        refundedAt: now,
+        updatedAt: now
+    });
+    if (order.state === 'paid') {
+        // Only this order's days go; premium from other orders, codes and admins stays
+        const product = productCatalog.getProduct(order.productId);
+        await limitService.revokeGrant(order.deviceId, grantIdFor(order.orderId), {
+            uid: order.uid || null,
+            days: product ? product.days : 30,
+            reason: 'razorpay_refund'
+        });
+    }
+    return 'refunded';
+}
+
+// Processes one verified webhook body. Returns { status, result } for the HTTP response:
+// 2xx acknowledges the event, anything else makes Razorpay retry it.
+async function handleWebhook(body, eventId) {
+    if (!body || !body.event || !body.payload) {
+        console.error("[Razorpay] Malformed webhook, dropping.");
+        return { status: 200, result: 'malformed' };
+    }
+
+    const id = eventId || crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+    const claim = await claimEvent(id);
+    if (claim === 'duplicate') return { status: 200, result: 'duplicate' };
+    if (claim === 'in_progress') return { status: 409, result: 'in_progress' };
+
+    const eventRef = getStore().collection('razorpay_events').doc(id);
+    const payment = body.payload.payment && body.payload.payment.entity;
+    const refund = body.payload.refund && body.payload.refund.entity;
+
+    try {
+        let action;
+        if (body.event === 'payment.captured' && payment) {
+            action = await handleCaptured(payment);
+        } else if (body.event === 'payment.failed' && payment) {
+            action = await handleFailed(payment);
+        } else if (body.event === 'refund.processed' && refund) {
+            action = await handleRefund(refund, payment);
+        } else {
+            action = 'ignored';
+        }
+
+        await eventRef.set({
+            status: 'processed',
+            event: body.event,
+            orderId: (payment && payment.order_id) || null,
+            action,
+            processedAt: new Date().toISOString()
+        }, { merge: true });
+        console.log(`[Razorpay] Webhook ${body.event}: ${action}`);
+        return { status: 200, result: action };
+    } catch (e) {
+        console.error(`[Razorpay] Failed to process webhook ${id}:`, e);
+        await eventRef.set({ status: 'failed', error: e.message }, { merge: true });
+        return { status: e.status === 409 ? 409 : 500, result: 'failed' };
+    }
+}
+
+// Fulfills orders that were paid but never verified (closed browser, missed webhook).
+// Looks at orders still `created` after `minAgeMs`, newer than a day.
+async function reconcileOrders({ minAgeMs = 10 * 60 * 1000 } = {}) {
+    const now = Date.now();
+    const snapshot = await getStore().collection('orders')
+        .where('source', '==', 'razorpay')
+        .where('state', '==', 'created')
+        .get();
+
+    let fulfilled = 0;
+    for (const doc of snapshot.docs) {
+        const order = doc.data();
+        const age = now - new Date(order.createdAt).getTime();
+        if (age < minAgeMs || age > 24 * 60 * 60 * 1000) continue;
+        try {
+            const payments = await getRazorpayClient().fetchOrderPayments(order.orderId);
+            const paid = payments.find(p => PAID_STATES.includes(p.status));
+            if (!paid) continue;
+            const result = await fulfillOrder(order, paid, 'reconciliation');
+            if (result.success && !result.alreadyFulfilled) fulfilled++;
+        } catch (e) {
+            console.error(`[Razorpay] Reconciliation failed for ${order.orderId}:`, e.message);
+        }
+    }
+    if (fulfilled) console.log(`[Razorpay] Reconciled ${fulfilled} paid order(s)`);
+    return fulfilled;
+}
+
+function startOrderReconciliation(intervalMs) {
+    const timer = setInterval(async () => {
+        try {
+            await reconcileOrders();
+        } catch (e) {
+            console.error("[Razorpay] Reconciliation failed:", e.message);
+        }
+    }, intervalMs);
+    timer.unref();
+    return timer;
 }
 
 module.exports = {
     createOrder,
-    verifyPayment
+    verifyPayment,
+    verifySignature,
+    verifyWebhookSignature,
+    handleWebhook,
+    reconcileOrders,
+    startOrderReconciliation,
+    getRazorpayClient,
+    setRazorpayClient
 };
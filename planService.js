@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { getStore } = require('./storage');
+
+// Plan tiers and their quota policies.
+//
+// Policies ship in config/plans.json and can be replaced at runtime by the
+// `settings/plans` document: whichever copy has the higher `version` wins. The
+// result is cached for PLAN_CACHE_SECONDS.
+//
+// Tier fields:
+//   label
+//   dailyCredits         - credits per day (for premium tiers this is the fair-use cap)
+//   monthlyCredits       - credits per calendar month, null for no monthly cap
+//   defaultCost          - credits charged per generation
+//   categoryCosts        - { category: credits } overrides of defaultCost
+//   categoryDailyLimits  - { category: generations per day }
+//   fairUse              - the daily/monthly caps are a fair-use limit rather than a quota
+//   maxUploadBytes       - largest image upload accepted
+//   refinement           - follow-up messages in refinement sessions (sessionService):
+//                          { maxTurns, maxTokens } per session, the first `freeTurns` follow-ups
+//                          are free and later ones cost `turnCost` credits each
+//
+// Days and months roll over at midnight in the user's timezone (X-Timezone header),
+// falling back to `defaultTimezone`.
+
+const PLANS_PATH = process.env.PLAN_CONFIG_PATH || path.join(__dirname, 'config', 'plans.json');
+const CACHE_TTL_MS = Number(process.env.PLAN_CACHE_SECONDS || 60) * 1000;
+const FREE_TIER = 'free';
+const DEFAULT_PREMIUM_TIER = 'premium_monthly';
+
+let cache = null;
+let cachedAt = 0;
+
+async function loadStoredPlans() {
+    try {
+        const doc = await getStore().collection('settings').doc('plans').get();
+        return doc.exists ? doc.data() : null;
+    } catch (e) {
+        console.error("[Plans] Could not load stored plans:", e.message);
+        return null;
+    }
+}
+
+async function loadPlans(forceRefresh = false) {
+    if (cache && !forceRefresh && Date.now() - cachedAt < CACHE_TTL_MS) {
+        return cache;
+    }
+
+    let plans = JSON.parse(fs.readFileSync(PLANS_PATH, 'utf8'));
+    const stored = await loadStoredPlans();
+    if (stored && stored.tiers && (stored.version || 0) > (plans.version || 0)) {
+        plans = stored;
+    }
+
+    cache = plans;
+    cachedAt = Date.now();
+    return cache;
+}
+
+// Returns the policy for a tier ({ id, ...fields }); unknown premium tiers fall back to premium_monthly.
+async function getPolicy(tier) {
+    const plans = await loadPlans();
+    const id = plans.tiers[tier] ? tier : (tier === FREE_TIER ? FREE_TIER : DEFAULT_PREMIUM_TIER);
+    return { id, ...plans.tiers[id] };
+}
+
+async function getDefaultTimezone() {
+    const plans = await loadPlans();
+    return plans.defaultTimezone || 'UTC';
+}
+
+function costFor(policy, category) {
+    const costs = policy.categoryCosts || {};
+    if (category && costs[category] !== undefined) return costs[category];
+    return policy.defaultCost !== undefined ? policy.defaultCost : 1;
+}
+
+const DEFAULT_REFINEMENT = { maxTurns: 5, maxTokens: 20000, freeTurns: 0, turnCost: 1 };
+
+function refinementFor(policy) {
+    return { ...DEFAULT_REFINEMENT, ...(policy.refinement || {}) };
+}
+
+// Credits charged for the `turn`-th follow-up (1-based) of a refinement session.
+function turnCostFor(policy, turn) {
+    const rules = refinementFor(policy);
+    return turn <= rules.freeTurns ? 0 : rules.turnCost;
+}
+
+function categoryLimitFor(policy, category) {
+    const limits = policy.categoryDailyLimits || {};
+    return category && limits[category] !== undefined ? limits[category] : null;
+}
+
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Wall-clock parts of `date` in `timezone`.
+function zonedParts(date, timezone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    for (const part of formatter.formatToParts(date)) {
+        if (part.type !== 'literal') parts[part.type] = Number(part.value);
+    }
+    return parts;
+}
+
+// { day: 'YYYY-MM-DD', month: 'YYYY-MM' } for the given moment in the user's timezone.
+function periodKeys(timezone, date = new Date()) {
+    const { year, month, day } = zonedParts(date, timezone);
+    const pad = n => String(n).padStart(2, '0');
+    return {
+        day: `${year}-${pad(month)}-${pad(day)}`,
+        month: `${year}-${pad(month)}`
+    };
+}
+
+// The next local midnight in the user's timezone, as an ISO string.
+function nextResetAt(timezone, date = new Date()) {
+    const { year, month, day } = zonedParts(date, timezone);
+    const midnightAsUtc = Date.UTC(year, month - 1, day + 1);
+    // Shift by the zone's offset at that moment (twice, to settle across DST changes)
+    let guess = midnightAsUtc;
+    for (let i = 0; i < 2; i++) {
+        const p = zonedParts(new Date(guess), timezone);
+        const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - guess;
+        guess = midnightAsUtc - offset;
+    }
+    return new Date(guess).toISOString();
+}
+
+module.exports = {
+    FREE_TIER,
+    DEFAULT_PREMIUM_TIER,
+    loadPlans,
+    getPolicy,
+    getDefaultTimezone,
+    costFor,
+    categoryLimitFor,
+    refinementFor,
+    turnCostFor,
+    isValidTimezone,
+    periodKeys,
+    nextResetAt
+};
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+// Maps store productIds to what they grant (`plan` is the tier in config/plans.json).
+// `razorpay` ({ amount in paise, currency }) makes a product available for web checkout.
+// Defaults to config/products.json; PRODUCT_CATALOG_PATH points at another file.
+const DEFAULT_CATALOG_PATH = path.join(__dirname, 'config', 'products.json');
+
+let catalog = null;
+
+function loadCatalog() {
+    if (!catalog) {
+        const file = process.env.PRODUCT_CATALOG_PATH || DEFAULT_CATALOG_PATH;
+        catalog = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    return catalog;
+}
+
+// Returns { productId, type, days, plan, ... } or null for unknown products.
+function getProduct(productId) {
+    if (!productId) return null;
+    const product = loadCatalog()[productId];
+    return product ? { productId, ...product } : null;
+}
+
+function listProducts() {
+    return Object.entries(loadCatalog()).map(([productId, product]) => ({ productId, ...product }));
+}
+
+module.exports = {
+    getProduct,
+    listProducts
+};
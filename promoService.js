@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const limitService = require('./limitService');
+const planService = require('./planService');
+const creditLedger = require('./creditLedger');
+
+// Promo codes, created by admins (see adminService) and redeemed with /api/promo/redeem.
+//
+// A code lives in `promo_codes` (doc ID = the code) and grants either `amount` credits or
+// `amount` days of premium (on `plan`). It can expire, cap its total redemptions
+// (maxRedemptions, null for unlimited) and how often one user may redeem it (perUserLimit).
+// Per-user counts live in `promo_redemptions`, keyed by code + device and code + account,
+// so signing in (or out) doesn't reset them. Everything is checked and counted in one
+// transaction, like claimRateReward, so a code can't be over-redeemed.
+
+const CODE_PATTERN = /^[A-Z0-9_-]{4,32}$/;
+const TYPES = ['credits', 'premium'];
+// Premium codes use the `promo` tier of config/plans.json unless they name another plan
+const PROMO_TIER = 'promo';
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+function generateCode() {
+    return crypto.randomBytes(5).toString('hex').toUpperCase();
+}
+
+function redemptionRefs(code, deviceId, user) {
+    const collection = getStore().collection('promo_redemptions');
+    const refs = [collection.doc(`${code}:device:${deviceId}`)];
+    if (user) refs.push(collection.doc(`${code}:uid:${user.uid}`));
+    return refs;
+}
+
+function failure(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Validates and stores a new code. Returns { success, promo } or { success: false, status, error }.
+async function createCode(fields, createdBy) {
+    const code = fields.code ? normalizeCode(fields.code) : generateCode();
+    const amount = Number(fields.amount);
+    const maxRedemptions = fields.maxRedemptions === undefined || fields.maxRedemptions === null ? null : Number(fields.maxRedemptions);
+    const perUserLimit = fields.perUserLimit === undefined ? 1 : Number(fields.perUserLimit);
+
+    if (!CODE_PATTERN.test(code)) {
+        return { success: false, status: 400, error: "code must be 4-32 letters, digits, - or _" };
+    }
+    if (!TYPES.includes(fields.type)) {
+        return { success: false, status: 400, error: `type must be one of: ${TYPES.join(', ')}` };
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+        return { success: false, status: 400, error: "amount must be a positive integer" };
+    }
+    if (maxRedemptions !== null && (!Number.isInteger(maxRedemptions) || maxRedemptions <= 0)) {
+        return { success: false, status: 400, error: "maxRedemptions must be a positive integer" };
+    }
+    if (!Number.isInteger(perUserLimit) || perUserLimit <= 0) {
+        return { success: false, status: 400, error: "perUserLimit must be a positive integer" };
+    }
+    if (fields.expiresAt && isNaN(new Date(fields.expiresAt).getTime())) {
+        return { success: false, status: 400, error: "expiresAt must be a date" };
+    }
+    if (fields.type === 'premium' && fields.plan && !(await planService.loadPlans()).tiers[fields.plan]) {
+        return { success: false, status: 400, error: "Unknown plan" };
+    }
+
+    const promo = {
+        code,
+        type: fields.type,
+        amount,
+        plan: fields.type === 'premium' ? (fields.plan || PROMO_TIER) : null,
+        expiresAt: fields.expiresAt ? new Date(fields.expiresAt).toISOString() : null,
+        maxRedemptions,
+        perUserLimit,
+        redemptions: 0,
+        active: true,
+        createdBy: createdBy || null,
+        createdAt: new Date().toISOString()
+    };
+
+    const db = getStore();
+    const ref = db.collection('promo_codes').doc(code);
+    try {
+        await db.runTransaction(async (t) => {
+            const doc = await t.get(ref);
+            if (doc.exists) throw failure(409, "Code already exists");
+            t.set(ref, promo);
+        });
+    } catch (e) {
+        return { success: false, status: e.status || 500, error: e.message };
+    }
+    return { success: true, promo };
+}
+
+async function deactivateCode(code) {
+    const ref = getStore().collection('promo_codes').doc(normalizeCode(code));
+    const doc = await ref.get();
+    if (!doc.exists) return { success: false, status: 404, error: "Code not found" };
+    await ref.update({ active: false, deactivatedAt: new Date().toISOString() });
+    return { success: true, promo: { ...doc.data(), active: false } };
+}
+
+async function listCodes({ limit = 50 } = {}) {
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 100);
+    const snapshot = await getStore().collection('promo_codes').orderBy('createdAt', 'desc').limit(pageSize).get();
+    return snapshot.docs.map(doc => doc.data());
+}
+
+// Undoes the counts of a redemption whose premium grant failed.
+async function releaseRedemption(code, deviceId, user) {
+    const db = getStore();
+    const codeRef = db.collection('promo_codes').doc(code);
+    const refs = redemptionRefs(code, deviceId, user);
+    await db.runTransaction(async (t) => {
+        const codeDoc = await t.get(codeRef);
+        const docs = [];
+        for (const ref of refs) docs.push(await t.get(ref));
+        t.update(codeRef, { redemptions: Math.max((codeDoc.data().redemptions || 0) - 1, 0) });
+        docs.forEach((doc, i) => {
+            if (doc.exists) t.update(refs[i], { count: Math.max((doc.data().count || 0) - 1, 0) });
+        });
+    });
+}
+
+// Redeems a code for this device (and account, when signed in).
+// Returns { success, type, amount, remaining | expiryDate } or { success: false, status, error }.
+async function redeem(deviceId, rawCode, user = null) {
+    const code = normalizeCode(rawCode);
+    if (!CODE_PATTERN.test(code)) return { success: false, status: 400, error: "Invalid code" };
+
+    // Creates the quota document and applies the daily reset before credits are added
+    await limitService.getLimitStatus(deviceId, user);
+
+    const db = getStore();
+    const codeRef = db.collection('promo_codes').doc(code);
+    const refs = redemptionRefs(code, deviceId, user);
+    const quota = limitService.quotaRef(deviceId, user);
+    let promo;
+    let newCount = null;
+
+    try {
+        await db.runTransaction(async (t) => {
+            const codeDoc = await t.get(codeRef);
+            const redemptionDocs = [];
+            for (const ref of refs) redemptionDocs.push(await t.get(ref));
+            const quotaDoc = await t.get(quota);
+
+            if (!codeDoc.exists || !codeDoc.data().active) throw failure(404, "Invalid code");
+            promo = codeDoc.data();
+            if (promo.expiresAt && new Date(promo.expiresAt) <= new Date()) throw failure(410, "This code has expired");
+            if (promo.maxRedemptions !== null && promo.redemptions >= promo.maxRedemptions) {
+                throw failure(410, "This code has been fully redeemed");
+            }
+            if (redemptionDocs.some(doc => doc.exists && doc.data().count >= promo.perUserLimit)) {
+                throw failure(409, "Code already redeemed");
+            }
+            if (!quotaDoc.exists) throw failure(404, "User not found");
+
+            const now = new Date().toISOString();
+            t.update(codeRef, { redemptions: promo.redemptions + 1 });
+            redemptionDocs.forEach((doc, i) => {
+                t.set(refs[i], {
+                    code,
+                    deviceId,
+                    uid: user ? user.uid : null,
+                    count: (doc.exists ? doc.data().count : 0) + 1,
+                    lastRedeemedAt: now
+                }, { merge: true });
+            });
+            if (promo.type === 'credits') {
+                const fields = creditLedger.appendInTransaction(t, creditLedger.ownerKey(deviceId, user), quotaDoc.data(), [
+                    { type: 'promo', amount: promo.amount, details: { deviceId, code } }
+                ]);
+                newCount = fields.count;
+                t.update(quota, fields);
+            }
+        });
+    } catch (e) {
+        console.log(`[Promo] ${code} rejected for ${deviceId}: ${e.message}`);
+        return { success: false, status: e.status || 500, error: e.status ? e.message : "Redemption failed" };
+    }
+
+    if (promo.type === 'credits') {
+        console.log(`[Promo] ${deviceId} redeemed ${code}: +${promo.amount} credits`);
+        return { success: true, type: 'credits', amount: promo.amount, remaining: newCount };
+    }
+
+    const upgraded = await limitService.upgradeUser(deviceId, promo.amount, {
+        uid: user ? user.uid : null,
+        source: 'promo',
+        orderId: `promo:${code}`,
+        // Codes allowing several redemptions grant their days each time
+        grantId: `promo:${code}:${crypto.randomUUID()}`,
+        plan: promo.plan
+    });
+    if (!upgraded) {
+        await releaseRedemption(code, deviceId, user);
+        return { success: false, status: 500, error: "Redemption failed" };
+    }
+    const status = await limitService.getLimitStatus(deviceId, user);
+    console.log(`[Promo] ${deviceId} redeemed ${code}: ${promo.amount} days of ${promo.plan}`);
+    return { success: true, type: 'premium', amount: promo.amount, plan: promo.plan, expiryDate: status.expiryDate || null };
+}
+
+module.exports = {
+    createCode,
+    deactivateCode,
+    listCodes,
+    redeem
+};
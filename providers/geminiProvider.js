@@ -0,0 +1,79 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+function normalizeUsage(usageMetadata) {
+    if (!usageMetadata) return null;
+    return {
+        promptTokens: usageMetadata.promptTokenCount || 0,
+        outputTokens: usageMetadata.candidatesTokenCount || 0,
+        totalTokens: usageMetadata.totalTokenCount || 0
+    };
+}
+
+class GeminiProvider {
+    constructor({ apiKey = process.env.GEMINI_API_KEY } = {}) {
+        this.name = 'gemini';
+        this.apiKey = apiKey;
+        this.client = new GoogleGenerativeAI(apiKey);
+    }
+
+    // responseSchema (optional) switches the model to JSON output constrained by that schema.
+    _chat(model, history, responseSchema) {
+        const generationConfig = responseSchema ? { responseMimeType: 'application/json', responseSchema } : undefined;
+        return this.client.getGenerativeModel({ model, generationConfig }).startChat({ history });
+    }
+
+    // history: [{ role: 'user' | 'model', parts: [...] }], parts: the new message.
+    async generate({ model, history = [], parts, signal, responseSchema }) {
+        const result = await this._chat(model, history, responseSchema).sendMessage(parts, { signal });
+        const response = await result.response;
+        return { text: response.text(), usage: normalizeUsage(response.usageMetadata) };
+    }
+
+    // Resolves once the response has started; `stream` yields text chunks and
+    // `response` resolves with the full { text, usage } when it ends.
+    async generateStream({ model, history = [], parts, signal, responseSchema }) {
+        const result = await this._chat(model, history, responseSchema).sendMessageStream(parts, { signal });
+
+        async function* textChunks() {
+            for await (const chunk of result.stream) {
+                const text = chunk.text();
+                if (text) yield text;
+            }
+        }
+
+        return {
+            stream: textChunks(),
+            response: result.response.then(response => ({
+                text: response.text(),
+                usage: normalizeUsage(response.usageMetadata)
+            }))
+        };
+    }
+
+    // Models that support generateContent.
+    async listModels() {
+        const models = [];
+        let pageToken = '';
+        do {
+            const url = `${API_BASE}/models?key=${this.apiKey}&pageSize=100${pageToken ? `&pageToken=${pageToken}` : ''}`;
+            const response = await fetch(url);
+            if (!response.ok) {
+                const error = new Error(`Model listing failed: ${response.status} ${await response.text()}`);
+                error.status = response.status;
+                throw error;
+            }
+            const data = await response.json();
+            for (const m of data.models || []) {
+                if (m.supportedGenerationMethods && m.supportedGenerationMethods.includes('generateContent')) {
+                    models.push({ name: m.name.replace(/^models\//, ''), displayName: m.displayName });
+                }
+            }
+            pageToken = data.nextPageToken;
+        } while (pageToken);
+        return models;
+    }
+}
+
+module.exports = { GeminiProvider };
@@ -0,0 +1,36 @@
+const { GeminiProvider } = require('./geminiProvider');
+const { MockProvider } = require('./mockProvider');
+
+// Provider instances by name, created on first use.
+// Every provider implements generate(), generateStream() and listModels().
+const factories = {
+    gemini: () => new GeminiProvider(),
+    mock: () => new MockProvider()
+};
+
+const instances = {};
+
+function getProvider(name) {
+    if (!instances[name]) {
+        if (!factories[name]) throw new Error(`Unknown LLM provider: ${name}`);
+        instances[name] = factories[name]();
+    }
+    return instances[name];
+}
+
+// Replace a provider instance (e.g. a MockProvider with scripted behavior in tests).
+function setProvider(name, provider) {
+    instances[name] = provider;
+}
+
+function listProviderNames() {
+    return Object.keys(factories);
+}
+
+module.exports = {
+    getProvider,
+    setProvider,
+    listProviderNames,
+    GeminiProvider,
+    MockProvider
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+// Deterministic offline provider: the same prompt always produces the same text.
+//
+// Model names can script failures for testing fallbacks:
+//   "fail-429", "fail-503", "fail-500" ... always throw with that status.
+//   "badjson" returns broken JSON for structured requests until asked to repair it;
+//   "badjson-always" never recovers.
+// Structured requests (responseSchema) get an object built from the schema.
+// Set MOCK_PROVIDER_LATENCY_MS to simulate a slow upstream.
+
+function promptText(history, parts) {
+    return [...history.flatMap(h => h.parts), ...parts]
+        .map(p => p.text || (p.inlineData ? `[${p.inlineData.mimeType}]` : ''))
+        .join('\n');
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (!ms) return resolve();
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                const error = new Error('This operation was aborted');
+                error.name = 'AbortError';
+                reject(error);
+            });
+        }
+    });
+}
+
+// A value matching the schema, with strings tagged by the prompt digest.
+function sampleFromSchema(schema, digest, name = 'value') {
+    if (schema.enum) return schema.enum[0];
+    switch (schema.type) {
+        case 'object': {
+            const value = {};
+            for (const [key, prop] of Object.entries(schema.properties || {})) {
+                value[key] = sampleFromSchema(prop, digest, key);
+            }
+            return value;
+        }
+        case 'array':
+            return [sampleFromSchema(schema.items || { type: 'string' }, digest, name)];
+        case 'number':
+        case 'integer':
+            return 1;
+        case 'boolean':
+            return true;
+        default:
+            return `Mock ${name} ${digest}`;
+    }
+}
+
+class MockProvider {
+    constructor({ latencyMs = Number(process.env.MOCK_PROVIDER_LATENCY_MS || 0) } = {}) {
+        this.name = 'mock';
+        this.latencyMs = latencyMs;
+        this.calls = [];
+    }
+
+    _respond(model, history, parts, responseSchema) {
+        const failure = /fail-(\d{3})/.exec(model);
+        if (failure) {
+            const error = new Error(`[mock] ${model} failed`);
+            error.status = Number(failure[1]);
+            throw error;
+        }
+
+        const prompt = promptText(history, parts);
+        const digest = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+        this.calls.push({ model, prompt });
+
+        // Callers asking for JSON (e.g. smart_analyze) get a parseable object back.
+        let text;
+        if (responseSchema) {
+            const repairing = /did not match the required JSON schema/.test(parts.map(p => p.text || '').join('\n'));
+            const broken = /badjson-always/.test(model) || (/badjson/.test(model) && !repairing);
+            text = broken ? `{"oops": "Mock broken JSON ${digest}"` : JSON.stringify(sampleFromSchema(responseSchema, digest));
+        } else if (/Return a JSON response/i.test(prompt)) {
+            text = JSON.stringify({ analysis: `Mock analysis ${digest}`, prompt: `Mock prompt ${digest}`, tip: 'Mock tip' });
+        } else {
+            text = `Mock response ${digest} from ${model}.`;
+        }
+
+        const promptTokens = Math.ceil(prompt.length / 4);
+        const outputTokens = Math.ceil(text.length / 4);
+        return { text, usage: { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens } };
+    }
+
+    async generate({ model, history = [], parts, signal, responseSchema }) {
+        await wait(this.latencyMs, signal);
+        return this._respond(model, history, parts, responseSchema);
+    }
+
+    async generateStream({ model, history = [], parts, signal, responseSchema }) {
+        await wait(this.latencyMs, signal);
+        const result = this._respond(model, history, parts, responseSchema);
+        const latencyMs = this.latencyMs;
+
+        async function* textChunks() {
+            for (const piece of result.text.match(/.{1,16}/gs) || []) {
+                await wait(latencyMs, signal);
+                yield piece;
+            }
+        }
+
+        return { stream: textChunks(), response: Promise.resolve(result) };
+    }
+
+    async listModels() {
+        return [
+            { name: 'mock-model', displayName: 'Mock Model' },
+            { name: 'fail-503', displayName: 'Always 503' }
+        ];
+    }
+}
+
+module.exports = { MockProvider };
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+
+// Sliding-window rate limiting for the API, keyed by route group + IP and route group + deviceId.
+//
+// Limits live in config/rateLimits.json (RATE_LIMIT_CONFIG_PATH points at another file):
+//   routes.<group>  - { windowSeconds, ip, device } max requests per window; `default` for unlisted groups
+//   newDevices      - { windowSeconds, maxPerIp } how many never-seen deviceIds one IP may create
+//
+// Counters are kept in memory by default. RATE_LIMIT_STORE=shared keeps them in the
+// `rate_limits` collection so several instances share them (at the cost of a write per request).
+// IPs that create too many new deviceIds are refused with 429 for new devices and
+// recorded in `abuse_flags` for review.
+
+const CONFIG_PATH = process.env.RATE_LIMIT_CONFIG_PATH || path.join(__dirname, 'config', 'rateLimits.json');
+
+let config = null;
+
+function loadConfig() {
+    if (!config) {
+        config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    }
+    return config;
+}
+
+// Per-process counters. Each key holds the timestamps (and optional members) seen in its window.
+class MemoryRateStore {
+    constructor() {
+        this.entries = new Map();
+        this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+        this.sweeper.unref();
+    }
+
+    _live(key, windowMs, now) {
+        const live = (this.entries.get(key) || []).filter(e => e.at > now - windowMs);
+        this.entries.set(key, live);
+        return live;
+    }
+
+    // Records a hit if under `limit`. Returns { allowed, count, retryAfterMs }.
+    async hit(key, windowMs, limit, now = Date.now()) {
+        const live = this._live(key, windowMs, now);
+        if (live.length >= limit) {
+            return { allowed: false, count: live.length, retryAfterMs: live[0].at + windowMs - now };
+        }
+        live.push({ at: now });
+        return { allowed: true, count: live.length, retryAfterMs: 0 };
+    }
+
+    // Whether `member` is in the set for `key`, without adding it.
+    async has(key, member, windowMs, now = Date.now()) {
+        return this._live(key, windowMs, now).some(e => e.member === member);
+    }
+
+    // Adds `member` to the set for `key`. Returns true if it was already there.
+    async seen(key, member, windowMs, now = Date.now()) {
+        const live = this._live(key, windowMs, now);
+        if (live.some(e => e.member === member)) return true;
+        live.push({ at: now, member });
+        return false;
+    }
+
+    // Distinct members in the window.
+    async count(key, windowMs, now = Date.now()) {
+        return this._live(key, windowMs, now).length;
+    }
+
+    sweep(now = Date.now()) {
+        // Nothing is kept longer than a day, whatever the window.
+        for (const [key, list] of this.entries) {
+            const live = list.filter(e => e.at > now - 24 * 60 * 60 * 1000);
+            if (live.length) this.entries.set(key, live);
+            else this.entries.delete(key);
+        }
+    }
+}
+
+// Counters shared across instances, kept in the `rate_limits` collection of the configured store.
+class SharedRateStore {
+    _ref(key) {
+        const id = crypto.createHash('sha1').update(key).digest('hex');
+        return getStore().collection('rate_limits').doc(id);
+    }
+
+    async _update(key, windowMs, now, apply) {
+        const db = getStore();
+        const ref = this._ref(key);
+        return db.runTransaction(async (t) => {
+            const doc = await t.get(ref);
+            const live = ((doc.exists && doc.data().entries) || []).filter(e => e.at > now - windowMs);
+            const { result, entries } = apply(live);
+            t.set(ref, { key, entries, expiresAt: new Date(now + windowMs).toISOString() });
+            return result;
+        });
+    }
+
+    async hit(key, windowMs, limit, now = Date.now()) {
+        return this._update(key, windowMs, now, (live) => {
+            if (live.length >= limit) {
+                return { entries: live, result: { allowed: false, count: live.length, retryAfterMs: live[0].at + windowMs - now } };
+            }
+            const entries = [...live, { at: now }];
+            return { entries, result: { allowed: true, count: entries.length, retryAfterMs: 0 } };
+        });
+    }
+
+    async has(key, member, windowMs, now = Date.now()) {
+        const doc = await this._ref(key).get();
+        return ((doc.exists && doc.data().entries) || []).some(e => e.at > now - windowMs && e.member === member);
+    }
+
+    async seen(key, member, windowMs, now = Date.now()) {
+        return this._update(key, windowMs, now, (live) => {
+            if (live.some(e => e.member === member)) return { entries: live, result: true };
+            return { entries: [...live, { at: now, member }], result: false };
+        });
+    }
+
+    async count(key, windowMs, now = Date.now()) {
+        const doc = await this._ref(key).get();
+        return ((doc.exists && doc.data().entries) || []).filter(e => e.at > now - windowMs).length;
+    }
+}
+
+let store = null;
+
+function getRateStore() {
+    if (!store) {
+        store = process.env.RATE_LIMIT_STORE === 'shared' ? new SharedRateStore() : new MemoryRateStore();
+    }
+    return store;
+}
+
+function setRateStore(newStore) {
+    store = newStore;
+}
+
+function requestDeviceId(req) {
+    return (req.params && req.params.deviceId) || (req.body && req.body.deviceId) || (req.query && req.query.deviceId) || null;
+}
+
+// True if this request would be one deviceId too many for its IP.
+// A deviceId counts as new the first time it shows up without a `users` document.
+async function isNewDeviceAbuse(ip, deviceId) {
+    const rules = loadConfig().newDevices;
+    if (!rules || !deviceId) return false;
+    const windowMs = rules.windowSeconds * 1000;
+    const rateStore = getRateStore();
+
+    // Only look a pair up once per window, and only once it was let through:
+    // a rejected deviceId stays rejected when retried.
+    const pairKey = `pair:${ip}:${deviceId}`;
+    if (await rateStore.has(pairKey, deviceId, windowMs)) return false;
+
+    const doc = await getStore().collection('users').doc(deviceId).get();
+    if (!doc.exists) {
+        const created = await rateStore.count(`newdev:${ip}`, windowMs);
+        if (created >= rules.maxPerIp) {
+            await flagIp(ip, created, rules);
+            return true;
+        }
+        await rateStore.seen(`newdev:${ip}`, deviceId, windowMs);
+    }
+    await rateStore.seen(pairKey, deviceId, windowMs);
+    return false;
+}
+
+// Logs the IP for review, once per window.
+async function flagIp(ip, created, rules) {
+    const windowMs = rules.windowSeconds * 1000;
+    if (await getRateStore().seen('flagged', ip, windowMs)) return;
+
+    console.warn(`[RateLimit] Flagged IP ${ip}: ${created} new deviceIds in ${rules.windowSeconds}s`);
+    try {
+        await getStore().collection('abuse_flags').add({
+            ip,
+            reason: 'new_devices',
+            newDevices: created,
+            windowSeconds: rules.windowSeconds,
+            createdAt: new Date().toISOString()
+        });
+    } catch (e) {
+        console.error("[RateLimit] Could not record abuse flag:", e.message);
+    }
+}
+
+function reject(req, res, retryAfterMs, reason) {
+    const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: "Too many requests", reason, retryAfter });
+}
+
+function ruleFor(group) {
+    const routes = loadConfig().routes;
+    return routes[group] || routes.default;
+}
+
+// Records a hit for the request's IP. Returns false (and rejects the request) if over the limit.
+async function checkIp(group, req, res) {
+    const rule = ruleFor(group);
+    const byIp = await getRateStore().hit(`${group}:ip:${req.ip}`, rule.windowSeconds * 1000, rule.ip);
+    if (!byIp.allowed) {
+        console.log(`[RateLimit] ${group} limited for IP ${req.ip}`);
+        reject(req, res, byIp.retryAfterMs, 'ip');
+        return false;
+    }
+    return true;
+}
+
+// Middleware for one route group. Place it after body parsing (and after the upload
+// middleware on multipart routes) so the deviceId is available.
+function rateLimit(group) {
+    return async (req, res, next) => {
+        try {
+            const rule = ruleFor(group);
+            const windowMs = rule.windowSeconds * 1000;
+            const rateStore = getRateStore();
+            const ip = req.ip;
+            const deviceId = requestDeviceId(req);
+
+            // Multipart routes check the IP before the upload (see rateLimitIp)
+            if (req.rateLimitedIp !== group && !(await checkIp(group, req, res))) return;
+            if (deviceId) {
+                const byDevice = await rateStore.hit(`${group}:device:${deviceId}`, windowMs, rule.device);
+                if (!byDevice.allowed) {
+                    console.log(`[RateLimit] ${group} limited for device ${deviceId}`);
+                    return reject(req, res, byDevice.retryAfterMs, 'device');
+                }
+                if (await isNewDeviceAbuse(ip, deviceId)) {
+                    return reject(req, res, loadConfig().newDevices.windowSeconds * 1000, 'new_devices');
+                }
+            }
+            next();
+        } catch (e) {
+            // Never take the API down because the limiter's store is unavailable
+            console.error("[RateLimit] Check failed, letting request through:", e.message);
+            next();
+        }
+    };
+}
+
+// The IP half of rateLimit(group), for multipart routes: place it before the upload middleware
+// so limited clients are turned away before their files are read. rateLimit(group) after the
+// upload then only checks the device.
+function rateLimitIp(group) {
+    return async (req, res, next) => {
+        try {
+            if (!(await checkIp(group, req, res))) return;
+            req.rateLimitedIp = group;
+        } catch (e) {
+            console.error("[RateLimit] Check failed, letting request through:", e.message);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    rateLimit,
+    rateLimitIp,
+    getRateStore,
+    setRateStore,
+    MemoryRateStore,
+    SharedRateStore
+};
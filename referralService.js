@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const limitService = require('./limitService');
+const historyService = require('./historyService');
+const creditLedger = require('./creditLedger');
+
+// Referral codes: every user (account when signed in, otherwise device) can get one code.
+// A new device applies someone's code before its first generation; when that first
+// generation completes, both sides get credits (REFERRAL_REFERRER_CREDITS /
+// REFERRAL_REFEREE_CREDITS), once, in a single transaction like claimRateReward.
+// A referrer earns for at most REFERRAL_MAX_PER_REFERRER referees.
+//
+// Collections: `referral_codes` (doc ID = code, with the owner and counts) and
+// `referrals` (doc ID = the referee's deviceId, status pending -> credited).
+// The device's first generation is marked with `firstGenerationAt` on users/{deviceId}.
+
+const REFERRER_CREDITS = Number(process.env.REFERRAL_REFERRER_CREDITS || 5);
+const REFEREE_CREDITS = Number(process.env.REFERRAL_REFEREE_CREDITS || 5);
+const MAX_PER_REFERRER = Number(process.env.REFERRAL_MAX_PER_REFERRER || 50);
+const CODE_PATTERN = /^[A-Z0-9]{8}$/;
+// No 0/O or 1/I, so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateCode() {
+    const bytes = crypto.randomBytes(8);
+    return [...bytes].map(b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+}
+
+function failure(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function ownerRef(owner) {
+    const db = getStore();
+    return owner.uid ? db.collection('accounts').doc(owner.uid) : db.collection('users').doc(owner.deviceId);
+}
+
+// Returns { success, code, referred, credited }, creating the code on first use.
+async function getCode(deviceId, user = null) {
+    // Makes sure the owner's quota document exists
+    await limitService.getLimitStatus(deviceId, user);
+
+    const db = getStore();
+    const ref = limitService.quotaRef(deviceId, user);
+    let code = (await ref.get()).data().referralCode;
+
+    if (!code) {
+        for (let attempt = 0; attempt < 5 && !code; attempt++) {
+            const candidate = generateCode();
+            const codeRef = db.collection('referral_codes').doc(candidate);
+            code = await db.runTransaction(async (t) => {
+                const owner = await t.get(ref);
+                const existing = await t.get(codeRef);
+                if (owner.data().referralCode) return owner.data().referralCode;
+                if (existing.exists) return null;
+                t.set(codeRef, {
+                    code: candidate,
+                    deviceId,
+                    uid: user ? user.uid : null,
+                    referred: 0,
+                    credited: 0,
+                    createdAt: new Date().toISOString()
+                });
+                t.update(ref, { referralCode: candidate });
+                return candidate;
+            });
+        }
+        if (!code) return { success: false, status: 500, error: "Could not create referral code" };
+    }
+
+    const codeDoc = await db.collection('referral_codes').doc(code).get();
+    const { referred, credited } = codeDoc.data();
+    return { success: true, code, referred, credited, referrerCredits: REFERRER_CREDITS, refereeCredits: REFEREE_CREDITS };
+}
+
+// Records that this device was referred by `rawCode`. Credits follow its first generation.
+async function apply(deviceId, rawCode, user = null) {
+    const code = String(rawCode || '').trim().toUpperCase();
+    if (!CODE_PATTERN.test(code)) return { success: false, status: 400, error: "Invalid referral code" };
+
+    await limitService.getLimitStatus(deviceId, user);
+    // Devices from before firstGenerationAt existed: any history means they aren't new
+    const hasHistory = await historyService.hasEntries(deviceId);
+
+    const db = getStore();
+    const codeRef = db.collection('referral_codes').doc(code);
+    const referralRef = db.collection('referrals').doc(deviceId);
+    const deviceRef = db.collection('users').doc(deviceId);
+    try {
+        await db.runTransaction(async (t) => {
+            const codeDoc = await t.get(codeRef);
+            const referral = await t.get(referralRef);
+            const device = await t.get(deviceRef);
+
+            if (!codeDoc.exists) throw failure(404, "Invalid referral code");
+            const owner = codeDoc.data();
+            if (owner.deviceId === deviceId || (user && owner.uid === user.uid)) {
+                throw failure(400, "You can't use your own referral code");
+            }
+            if (referral.exists) throw failure(409, "A referral code was already applied on this device");
+            if ((device.exists && device.data().firstGenerationAt) || hasHistory) {
+                throw failure(409, "Referral codes can only be used before your first generation");
+            }
+
+            t.set(referralRef, {
+                code,
+                referrer: { deviceId: owner.deviceId, uid: owner.uid || null },
+                refereeDeviceId: deviceId,
+                refereeUid: user ? user.uid : null,
+                status: 'pending',
+                createdAt: new Date().toISOString()
+            });
+            t.update(codeRef, { referred: (owner.referred || 0) + 1 });
+        });
+    } catch (e) {
+        console.log(`[Referral] ${code} rejected for ${deviceId}: ${e.message}`);
+        return { success: false, status: e.status || 500, error: e.status ? e.message : "Could not apply referral code" };
+    }
+
+    console.log(`[Referral] ${deviceId} applied ${code}`);
+    return { success: true, pendingCredits: REFEREE_CREDITS };
+}
+
+// Called after every completed generation. Marks the device's first generation and,
+// if it was referred, credits both sides. Best effort: never fails the generation.
+async function recordGeneration(deviceId, user = null) {
+    try {
+        const db = getStore();
+        const deviceRef = db.collection('users').doc(deviceId);
+        const device = await deviceRef.get();
+        if (device.exists && device.data().firstGenerationAt) return null;
+
+        const referralRef = db.collection('referrals').doc(deviceId);
+        const refereeRef = limitService.quotaRef(deviceId, user);
+        const referralDoc = await referralRef.get();
+        const referral = referralDoc.exists ? referralDoc.data() : null;
+        const codeRef = referral ? db.collection('referral_codes').doc(referral.code) : null;
+        const referrerRef = referral ? ownerRef(referral.referrer) : null;
+
+        return await db.runTransaction(async (t) => {
+            // All reads before any write (Firestore transactions require it)
+            const deviceDoc = await t.get(deviceRef);
+            const current = referral ? await t.get(referralRef) : null;
+            const codeDoc = referral ? await t.get(codeRef) : null;
+            const refereeDoc = referral ? await t.get(refereeRef) : null;
+            const referrerDoc = referral ? await t.get(referrerRef) : null;
+            if (deviceDoc.exists && deviceDoc.data().firstGenerationAt) return null;
+
+            const now = new Date().toISOString();
+            t.set(deviceRef, { firstGenerationAt: now }, { merge: true });
+            if (!referral || current.data().status !== 'pending') return null;
+
+            // Signed in on the referrer's own account by now
+            if (user && referral.referrer.uid === user.uid) {
+                t.update(referralRef, { status: 'rejected', reason: 'self_referral', updatedAt: now });
+                return 'rejected';
+            }
+            if (!referrerDoc.exists || (codeDoc.data().credited || 0) >= MAX_PER_REFERRER) {
+                const reason = referrerDoc.exists ? 'referrer_limit' : 'referrer_missing';
+                t.update(referralRef, { status: 'rejected', reason, updatedAt: now });
+                return 'rejected';
+            }
+
+            const { referrer } = referral;
+            t.update(refereeRef, creditLedger.appendInTransaction(t, creditLedger.ownerKey(deviceId, user), refereeDoc.data(), [
+                { type: 'referral', amount: REFEREE_CREDITS, details: { code: referral.code, role: 'referee' } }
+            ]));
+            t.update(referrerRef, creditLedger.appendInTransaction(
+                t,
+                creditLedger.ownerKey(referrer.deviceId, referrer.uid ? { uid: referrer.uid } : null),
+                referrerDoc.data(),
+                [{ type: 'referral', amount: REFERRER_CREDITS, details: { code: referral.code, role: 'referrer', refereeDeviceId: deviceId } }]
+            ));
+            t.update(codeRef, { credited: (codeDoc.data().credited || 0) + 1 });
+            t.update(referralRef, {
+                status: 'credited',
+                refereeUid: user ? user.uid : referral.refereeUid,
+                creditedAt: now,
+                updatedAt: now
+            });
+            console.log(`[Referral] Credited ${referral.code}: referrer +${REFERRER_CREDITS}, referee ${deviceId} +${REFEREE_CREDITS}`);
+            return 'credited';
+        });
+    } catch (e) {
+        console.error("[Referral] Could not record generation:", e);
+        return null;
+    }
+}
+
+module.exports = {
+    getCode,
+    apply,
+    recordGeneration
+};
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+
+// Structured request logging and the usage analytics built on it.
+//
+// Every /api request produces one JSON line with its request ID (also sent back as
+// X-Request-Id), route, status, latency and a keyed hash of the deviceId. Routes add details
+// with annotate(res, {...}): generations log category, provider/model, token usage,
+// attempts, quota before/after, outcome and estimated cost; batches log their size and
+// how many items succeeded instead of provider/model.
+//
+// Lines go to REQUEST_LOG_DIR (default logs/) as requests-YYYY-MM-DD.jsonl, rotated daily
+// and when a file passes REQUEST_LOG_MAX_MB (requests-YYYY-MM-DD.1.jsonl, ...); files older
+// than REQUEST_LOG_KEEP_DAYS are deleted. REQUEST_LOG_SINK=firestore also writes each entry
+// to the `request_logs` collection, and analytics then read from there so they cover every
+// instance. REQUEST_LOG=off disables logging.
+//
+// deviceIds are low-entropy (build IDs, UUIDs found in other logs), so a plain hash could be
+// reversed by hashing candidates. They are hashed with an HMAC keyed by REQUEST_LOG_HASH_SECRET;
+// without it, a random key per process is used (hashes then don't match across restarts).
+
+const LOG_DIR = process.env.REQUEST_LOG_DIR || path.join(__dirname, 'logs');
+const MAX_FILE_BYTES = Number(process.env.REQUEST_LOG_MAX_MB || 20) * 1024 * 1024;
+const KEEP_DAYS = Number(process.env.REQUEST_LOG_KEEP_DAYS || 30);
+const MAX_ANALYTICS_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^requests-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+const HASH_SECRET = process.env.REQUEST_LOG_HASH_SECRET || null;
+
+// Rotating JSONL files on local disk.
+class JsonlFileSink {
+    constructor(dir = LOG_DIR) {
+        this.dir = dir;
+        this.day = null;
+        this.stream = null;
+        this.bytes = 0;
+    }
+
+    write(entry) {
+        const line = JSON.stringify(entry) + '\n';
+        if (entry.day !== this.day || this.bytes >= MAX_FILE_BYTES) this._rotate(entry.day);
+        this.stream.write(line);
+        this.bytes += Buffer.byteLength(line);
+    }
+
+    // Opens the first file for `day` that still has room.
+    _rotate(day) {
+        if (this.stream) this.stream.end();
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        let index = 0;
+        let file;
+        let size;
+        do {
+            file = path.join(this.dir, `requests-${day}${index ? `.${index}` : ''}.jsonl`);
+            size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+            index++;
+        } while (size >= MAX_FILE_BYTES);
+
+        this.stream = fs.createWriteStream(file, { flags: 'a' });
+        this.stream.on('error', (e) => console.error("[RequestLog] Write failed:", e.message));
+        this.day = day;
+        this.bytes = size;
+        this._prune(day);
+    }
+
+    _prune(today) {
+        const cutoff = dayString(new Date(new Date(`${today}T00:00:00Z`).getTime() - KEEP_DAYS * DAY_MS));
+        for (const name of fs.readdirSync(this.dir)) {
+            const match = FILE_PATTERN.exec(name);
+            if (match && match[1] < cutoff) fs.unlinkSync(path.join(this.dir, name));
+        }
+    }
+
+    // Entries logged on or after `sinceDay` (YYYY-MM-DD) by this instance.
+    async read(sinceDay) {
+        if (!fs.existsSync(this.dir)) return [];
+        const entries = [];
+        const files = fs.readdirSync(this.dir).filter(name => {
+            const match = FILE_PATTERN.exec(name);
+            return match && match[1] >= sinceDay;
+        });
+        for (const name of files) {
+            for (const line of fs.readFileSync(path.join(this.dir, name), 'utf8').split('\n')) {
+                if (!line) continue;
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (e) {
+                    // A line cut short by a crash
+                }
+            }
+        }
+        return entries;
+    }
+}
+
+// The `request_logs` collection of the configured store.
+class StoreSink {
+    write(entry) {
+        getStore().collection('request_logs').add(entry)
+            .catch(e => console.error("[RequestLog] Store write failed:", e.message));
+    }
+
+    async read(sinceDay) {
+        const snapshot = await getStore().collection('request_logs').where('day', '>=', sinceDay).get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+}
+
+const enabled = process.env.REQUEST_LOG !== 'off';
+const fileSink = new JsonlFileSink();
+const storeSink = process.env.REQUEST_LOG_SINK === 'firestore' ? new StoreSink() : null;
+
+function dayString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+let hashKey = null;
+
+function hashDevice(deviceId) {
+    if (!deviceId) return null;
+    if (!hashKey) {
+        if (!HASH_SECRET) console.warn("[RequestLog] REQUEST_LOG_HASH_SECRET is not set; device hashes use a random key for this process.");
+        hashKey = HASH_SECRET || crypto.randomBytes(32);
+    }
+    return crypto.createHmac('sha256', hashKey).update(String(deviceId)).digest('hex').slice(0, 16);
+}
+
+function outcomeFor(status) {
+    if (status < 400) return 'success';
+    return status < 500 ? 'rejected' : 'error';
+}
+
+// Adds fields to this request's log entry.
+function annotate(res, fields) {
+    res.locals.requestLog = { ...(res.locals.requestLog || {}), ...fields };
+}
+
+function write(entry) {
+    try {
+        fileSink.write(entry);
+        if (storeSink) storeSink.write(entry);
+    } catch (e) {
+        // Logging must never break a request
+        console.error("[RequestLog] Could not write entry:", e.message);
+    }
+}
+
+// Middleware: assigns the request ID and writes the entry once the response is done.
+function middleware(req, res, next) {
+    if (!enabled || !req.path.startsWith('/api/')) return next();
+
+    req.id = crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    const startedAt = process.hrtime.bigint();
+    let written = false;
+
+    const finish = () => {
+        if (written) return;
+        written = true;
+        const now = new Date();
+        const params = req.params || {};
+        const deviceId = params.deviceId || (req.body && req.body.deviceId) || (req.query && req.query.deviceId);
+        const annotations = res.locals.requestLog || {};
+        write({
+            ts: now.toISOString(),
+            day: dayString(now),
+            requestId: req.id,
+            method: req.method,
+            route: req.route ? req.baseUrl + req.route.path : req.path,
+            status: res.statusCode,
+            latencyMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+            deviceHash: hashDevice(deviceId),
+            ...annotations,
+            // A closed connection before the response finished counts as aborted
+            outcome: annotations.outcome || (res.writableFinished ? outcomeFor(res.statusCode) : 'aborted')
+        });
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+    next();
+}
+
+function emptyBucket() {
+    return {
+        requests: 0,
+        errors: 0,
+        errorRate: 0,
+        generations: { total: 0, succeeded: 0, failed: 0, cached: 0, byCategory: {}, premium: 0, free: 0 },
+        adRewards: { credit: 0, generate: 0 },
+        tokens: { prompt: 0, output: 0, total: 0 },
+        estimatedCostUsd: 0
+    };
+}
+
+function addEntry(bucket, entry) {
+    bucket.requests++;
+    if (entry.outcome === 'error') bucket.errors++;
+
+    if (entry.kind === 'generation') {
+        const g = bucket.generations;
+        g.total++;
+        if (entry.outcome === 'success') {
+            g.succeeded++;
+            if (entry.cached) g.cached++;
+            if (entry.category) g.byCategory[entry.category] = (g.byCategory[entry.category] || 0) + 1;
+            if (entry.isPremium) g.premium++;
+            else g.free++;
+        } else if (entry.outcome === 'error') {
+            g.failed++;
+        }
+    }
+    if (entry.kind === 'batch') {
+        // Each item counts as a generation
+        const g = bucket.generations;
+        g.total += entry.batchSize || 1;
+        if (entry.outcome === 'success') {
+            g.succeeded += entry.succeeded || 0;
+            g.failed += entry.failed || 0;
+            g.cached += entry.cachedItems || 0;
+            if (entry.category && entry.succeeded) g.byCategory[entry.category] = (g.byCategory[entry.category] || 0) + entry.succeeded;
+            if (entry.isPremium) g.premium += entry.succeeded || 0;
+            else g.free += entry.succeeded || 0;
+        } else if (entry.outcome === 'error') {
+            g.failed += entry.batchSize || 1;
+        }
+    }
+    if (entry.adReward && entry.outcome === 'success') {
+        bucket.adRewards[entry.adReward] = (bucket.adRewards[entry.adReward] || 0) + 1;
+    }
+    if (entry.usage) {
+        bucket.tokens.prompt += entry.usage.promptTokens || 0;
+        bucket.tokens.output += entry.usage.outputTokens || 0;
+        bucket.tokens.total += entry.usage.totalTokens || 0;
+    }
+    bucket.estimatedCostUsd += entry.estimatedCostUsd || 0;
+}
+
+function finishBucket(bucket) {
+    bucket.errorRate = bucket.requests ? Number((bucket.errors / bucket.requests).toFixed(4)) : 0;
+    bucket.estimatedCostUsd = Number(bucket.estimatedCostUsd.toFixed(6));
+    return bucket;
+}
+
+// Daily usage for the last `days` days (UTC), oldest first, plus totals.
+async function analytics({ days = 7 } = {}) {
+    const span = Math.min(Math.max(Number(days) || 7, 1), MAX_ANALYTICS_DAYS);
+    const from = dayString(new Date(Date.now() - (span - 1) * DAY_MS));
+    const entries = await (storeSink || fileSink).read(from);
+
+    const byDay = {};
+    for (let i = 0; i < span; i++) {
+        byDay[dayString(new Date(Date.now() - (span - 1 - i) * DAY_MS))] = emptyBucket();
+    }
+    const totals = emptyBucket();
+    for (const entry of entries) {
+        if (!byDay[entry.day]) continue;
+        addEntry(byDay[entry.day], entry);
+        addEntry(totals, entry);
+    }
+
+    return {
+        from,
+        to: dayString(new Date()),
+        source: storeSink ? 'store' : 'local',
+        days: Object.entries(byDay).map(([day, bucket]) => ({ day, ...finishBucket(bucket) })),
+        totals: finishBucket(totals)
+    };
+}
+
+module.exports = {
+    middleware,
+    annotate,
+    analytics,
+    hashDevice,
+    JsonlFileSink,
+    StoreSink
+};
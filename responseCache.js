@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+
+// Content-addressed cache of model results for text-only generations.
+//
+// The key is a hash of the category, its template version and the normalized inputs,
+// so the same request from any device maps to the same entry and a template change
+// invalidates old entries. Entries live for RESPONSE_CACHE_SECONDS (0 disables the cache),
+// at most RESPONSE_CACHE_MAX_ENTRIES of them (oldest evicted first).
+// Identical requests that arrive while the first is still running share its model call.
+
+const TTL_MS = Number(process.env.RESPONSE_CACHE_SECONDS === undefined ? 3600 : process.env.RESPONSE_CACHE_SECONDS) * 1000;
+const MAX_ENTRIES = Number(process.env.RESPONSE_CACHE_MAX_ENTRIES || 1000);
+
+const entries = new Map();
+const inFlight = new Map();
+
+// Sorted keys and trimmed strings, so formatting differences don't split the cache.
+function normalize(value) {
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const key of Object.keys(value).sort()) result[key] = normalize(value[key]);
+        return result;
+    }
+    return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : value;
+}
+
+function cacheKey(template, inputs, outputLanguage = null) {
+    const material = JSON.stringify({ category: template.id, version: template.version, inputs: normalize(inputs), outputLanguage });
+    return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+    }
+    return entry.value;
+}
+
+function set(key, value) {
+    if (TTL_MS <= 0) return;
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + TTL_MS });
+    while (entries.size > MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+    }
+}
+
+// Returns { value, cached } for the key: a cached value, the result of an identical
+// call already in flight, or a fresh compute() (stored on success).
+async function getOrCompute(key, compute) {
+    const hit = get(key);
+    if (hit) return { value: hit, cached: true };
+
+    if (inFlight.has(key)) {
+        return { value: await inFlight.get(key), cached: true };
+    }
+
+    const pending = (async () => {
+        const value = await compute();
+        set(key, value);
+        return value;
+    })();
+    inFlight.set(key, pending);
+    try {
+        return { value: await pending, cached: false };
+    } finally {
+        inFlight.delete(key);
+    }
+}
+
+function clear() {
+    entries.clear();
+}
+
+module.exports = {
+    cacheKey,
+    getOrCompute,
+    get,
+    set,
+    clear
+};
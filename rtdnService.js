@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { OAuth2Client } = require('google-auth-library');
+const { getStore } = require('./storage');
+const googlePlayService = require('./googlePlayService');
+
+// Google Play Real-time Developer Notifications, delivered as Pub/Sub pushes.
+// Each Pub/Sub message is handled once (keyed on its messageId in `rtdn_messages`),
+// and every state change it causes is appended to `subscription_events`.
+
+const NOTIFICATION_TYPES = {
+    1: 'SUBSCRIPTION_RECOVERED',
+    2: 'SUBSCRIPTION_RENEWED',
+    3: 'SUBSCRIPTION_CANCELED',
+    4: 'SUBSCRIPTION_PURCHASED',
+    5: 'SUBSCRIPTION_ON_HOLD',
+    6: 'SUBSCRIPTION_IN_GRACE_PERIOD',
+    7: 'SUBSCRIPTION_RESTARTED',
+    8: 'SUBSCRIPTION_PRICE_CHANGE_CONFIRMED',
+    9: 'SUBSCRIPTION_DEFERRED',
+    10: 'SUBSCRIPTION_PAUSED',
+    11: 'SUBSCRIPTION_PAUSE_SCHEDULE_CHANGED',
+    12: 'SUBSCRIPTION_REVOKED',
+    13: 'SUBSCRIPTION_EXPIRED',
+    20: 'SUBSCRIPTION_PENDING_PURCHASE_CANCELED'
+};
+
+// A message still "processing" after this long is assumed to have crashed and is retried.
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+const oidcClient = new OAuth2Client();
+
+// Pub/Sub push auth. Either an OIDC token signed by Google (RTDN_PUSH_AUDIENCE,
+// optionally pinned to RTDN_PUSH_SERVICE_ACCOUNT) or a shared secret passed as
+// ?token= on the push endpoint URL (RTDN_PUSH_TOKEN). Unconfigured means rejected.
+async function verifyPush(req) {
+    const audience = process.env.RTDN_PUSH_AUDIENCE;
+    const sharedToken = process.env.RTDN_PUSH_TOKEN;
+
+    if (audience) {
+        const header = req.headers.authorization || '';
+        const idToken = header.startsWith('Bearer ') ? header.slice(7) : null;
+        if (!idToken) return false;
+        try {
+            const ticket = await oidcClient.verifyIdToken({ idToken, audience });
+            const payload = ticket.getPayload();
+            const expectedEmail = process.env.RTDN_PUSH_SERVICE_ACCOUNT;
+            if (expectedEmail && (payload.email !== expectedEmail || !payload.email_verified)) return false;
+            return true;
+        } catch (e) {
+            console.error("[RTDN] Invalid push token:", e.message);
+            return false;
+        }
+    }
+
+    if (sharedToken) {
+        const given = Buffer.from(String(req.query.token || ''));
+        const expected = Buffer.from(sharedToken);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    console.error("[RTDN] Push auth is not configured (RTDN_PUSH_AUDIENCE or RTDN_PUSH_TOKEN).");
+    return false;
+}
+
+function decodeMessage(body) {
+    const message = body && body.message;
+    if (!message || !message.data) return null;
+    const messageId = message.messageId || message.message_id;
+    if (!messageId) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(message.data, 'base64').toString('utf8'));
+        return { messageId, publishTime: message.publishTime || message.publish_time || null, payload };
+    } catch (e) {
+        return null;
+    }
+}
+
+// Claims a message for processing. Returns 'claimed', 'duplicate' or 'in_progress'.
+async function claimMessage(messageId) {
+    const db = getStore();
+    const ref = db.collection('rtdn_messages').doc(messageId);
+    return db.runTransaction(async (t) => {
+        const doc = await t.get(ref);
+        if (doc.exists) {
+            const data = doc.data();
+            if (data.status === 'processed') return 'duplicate';
+            if (data.status === 'processing' && Date.now() - new Date(data.claimedAt).getTime() < STALE_CLAIM_MS) {
+                return 'in_progress';
+            }
+        }
+        t.set(ref, { status: 'processing', claimedAt: new Date().toISOString() }, { merge: true });
+        return 'claimed';
+    });
+}
+
+async function recordTransition(event) {
+    await getStore().collection('subscription_events').add({
+        ...event,
+        recordedAt: new Date().toISOString()
+    });
+}
+
+async function handleSubscriptionNotification(messageId, notification, eventTime) {
+    const type = NOTIFICATION_TYPES[notification.notificationType] || `UNKNOWN_${notification.notificationType}`;
+    const { purchaseToken } = notification;
+    if (!purchaseToken) {
+        // Can never succeed, so acknowledge it rather than have Pub/Sub redeliver it forever
+        console.error(`[RTDN] ${type} without a purchase token, dropping.`);
+        return { type, action: 'ignored_malformed' };
+    }
+
+    const orderRef = getStore().collection('orders').doc(googlePlayService.hashToken(purchaseToken));
+    const before = await orderRef.get();
+    if (!before.exists) {
+        // Purchase not verified by the app yet; /api/verify-payment-google will pick it up.
+        console.log(`[RTDN] ${type} for unknown purchase token, ignoring.`);
+        return { type, action: 'ignored_unknown_purchase' };
+    }
+
+    const previous = before.data();
+    let current;
+    if (type === 'SUBSCRIPTION_REVOKED') {
+        await googlePlayService.voidPurchaseToken(purchaseToken, {
+            voidedTime: eventTime,
+            reason: 'revoked',
+            downgradeReason: 'google_play_revoked'
+        });
+        current = (await orderRef.get()).data();
+    } else {
+        // Google is the source of truth: re-read the subscription and apply its state.
+        current = await googlePlayService.syncPurchaseToken(purchaseToken);
+    }
+
+    await getStore().collection('premium_users').doc(previous.deviceId).set({
+        subscriptionState: current.state,
+        lastNotificationType: type,
+        lastNotificationAt: eventTime
+    }, { merge: true });
+
+    await recordTransition({
+        messageId,
+        notificationType: type,
+        deviceId: previous.deviceId,
+        orderId: current.orderId || previous.orderId,
+        productId: previous.productId,
+        tokenHash: orderRef.id,
+        previousState: previous.state,
+        newState: current.state,
+        previousExpiry: previous.expiryTime || null,
+        newExpiry: current.expiryTime || null,
+        eventTime
+    });
+
+    console.log(`[RTDN] ${type} for ${previous.deviceId}: ${previous.state} -> ${current.state}`);
+    return { type, action: 'updated' };
+}
+
+async function handleVoidedNotification(messageId, notification, eventTime) {
+    if (!notification.purchaseToken) {
+        console.error("[RTDN] VOIDED_PURCHASE without a purchase token, dropping.");
+        return { type: 'VOIDED_PURCHASE', action: 'ignored_malformed' };
+    }
+    const previous = await googlePlayService.voidPurchaseToken(notification.purchaseToken, {
+        voidedTime: eventTime,
+        reason: notification.refundType || 'voided'
+    });
+    if (!previous) return { type: 'VOIDED_PURCHASE', action: 'ignored_unknown_purchase' };
+
+    await recordTransition({
+        messageId,
+        notificationType: 'VOIDED_PURCHASE',
+        deviceId: previous.deviceId,
+        orderId: notification.orderId || previous.orderId,
+        productId: previous.productId,
+        tokenHash: googlePlayService.hashToken(notification.purchaseToken),
+        previousState: previous.state,
+        newState: 'voided',
+        previousExpiry: previous.expiryTime || null,
+        newExpiry: null,
+        eventTime
+    });
+    return { type: 'VOIDED_PURCHASE', action: 'updated' };
+}
+
+// Processes one Pub/Sub push body. Returns { status, ... } for the HTTP response:
+// 2xx acknowledges the message, anything else makes Pub/Sub redeliver it.
+async function handlePush(body) {
+    const decoded = decodeMessage(body);
+    if (!decoded) {
+        // Malformed messages will never succeed, so acknowledge them instead of retrying forever.
+        console.error("[RTDN] Malformed push message, dropping.");
+        return { status: 204, result: 'malformed' };
+    }
+
+    const { messageId, payload } = decoded;
+    const expectedPackage = process.env.GOOGLE_PLAY_PACKAGE_NAME;
+    if (expectedPackage && payload.packageName && payload.packageName !== expectedPackage) {
+        console.error(`[RTDN] Notification for unexpected package ${payload.packageName}, dropping.`);
+        return { status: 204, result: 'wrong_package' };
+    }
+
+    const claim = await claimMessage(messageId);
+    if (claim === 'duplicate') return { status: 200, result: 'duplicate' };
+    if (claim === 'in_progress') return { status: 409, result: 'in_progress' };
+
+    const messageRef = getStore().collection('rtdn_messages').doc(messageId);
+    const eventTime = payload.eventTimeMillis
+        ? new Date(Number(payload.eventTimeMillis)).toISOString()
+        : new Date().toISOString();
+
+    try {
+        let outcome;
+        if (payload.subscriptionNotification) {
+            outcome = await handleSubscriptionNotification(messageId, payload.subscriptionNotification, eventTime);
+        } else if (payload.voidedPurchaseNotification) {
+            outcome = await handleVoidedNotification(messageId, payload.voidedPurchaseNotification, eventTime);
+        } else if (payload.testNotification) {
+            outcome = { type: 'TEST', action: 'ignored' };
+        } else {
+            outcome = { type: 'OTHER', action: 'ignored' };
+        }
+
+        await messageRef.set({
+            status: 'processed',
+            processedAt: new Date().toISOString(),
+            notificationType: outcome.type,
+            action: outcome.action,
+            eventTime
+        }, { merge: true });
+        return { status: 200, result: outcome.action };
+    } catch (e) {
+        console.error(`[RTDN] Failed to process message ${messageId}:`, e);
+        await messageRef.set({ status: 'failed', error: e.message }, { merge: true });
+        return { status: 500, result: 'failed' };
+    }
+}
+
+module.exports = {
+    verifyPush,
+    handlePush
+};
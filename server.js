@@ -1,38 +1,40 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const limitService = require('./limitService');
 const paymentService = require('./paymentService');
-const multer = require('multer');
-const fs = require('fs');
-const path = require('path');
-
-// Configure Multer for Disk Storage (Prevents OOM Crashes on Render)
-const uploadDir = '/tmp/uploads';
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, uploadDir)
-    },
-    filename: function (req, file, cb) {
-        cb(null, Date.now() + '-' + file.originalname)
-    }
-});
-const upload = multer({ storage: storage });
-
+const googlePlayService = require('./googlePlayService');
+const rtdnService = require('./rtdnService');
+const adRewardService = require('./adRewardService');
+const templateRegistry = require('./templateRegistry');
+const llmService = require('./llmService');
+const generationService = require('./generationService');
+const historyService = require('./historyService');
+const authService = require('./authService');
+const accountService = require('./accountService');
+const deviceService = require('./deviceService');
+const adminService = require('./adminService');
+const { rateLimit, rateLimitIp } = require('./rateLimiter');
+const uploadService = require('./uploadService');
+const idempotencyService = require('./idempotencyService');
+const sessionService = require('./sessionService');
+const requestLogger = require('./requestLogger');
+const promoService = require('./promoService');
+const referralService = require('./referralService');
+const i18n = require('./i18n');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind Render's proxy: take the client IP from X-Forwarded-For (used by rate limiting)
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS || 1));
+
 // Middleware
 app.use(cors());
-app.use(express.json());
-
-// Gemini Setup
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// The raw body is kept for webhook signature checks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+app.use(requestLogger.middleware);
+// Error responses get a stable `code` and a message in the client's language (Accept-Language)
+app.use(i18n.localizeErrors);
 
 // Routes
 
@@ -41,59 +43,225 @@ app.get('/', (req, res) => {
     res.send("Server is Awake! 🟢");
 });
 
+// 0.5 Categories (prompt templates the app renders its forms from)
+app.get('/api/categories', async (req, res) => {
+    try {
+        const categories = await templateRegistry.listCategories();
+        res.json({ categories, outputLanguages: templateRegistry.listOutputLanguages() });
+    } catch (error) {
+        console.error('Categories Error:', error);
+        res.status(500).json({ error: 'Failed to load categories' });
+    }
+});
+
+// The user's IANA timezone (e.g. "Asia/Kolkata"), used for the daily quota reset.
+function requestTimezone(req) {
+    return req.get('X-Timezone') || req.query.tz || (req.body && req.body.timezone) || null;
+}
+
 // 1. Check Limit Endpoint
-app.get('/api/limit/:deviceId', async (req, res) => {
+app.get('/api/limit/:deviceId', authService.authenticate, rateLimit('limit'), async (req, res) => {
     const { deviceId } = req.params;
-    const { email, phone } = req.query; // Get email & phone from query params
-    const status = await limitService.getLimitStatus(deviceId, email, phone);
+    const status = await limitService.getLimitStatus(deviceId, req.user, {
+        category: req.query.category || null,
+        timezone: requestTimezone(req)
+    });
     res.json(status);
 });
 
-// 1.5 Reward Endpoint (Ad watched)
-app.post('/api/reward', (req, res) => {
-    const { deviceId } = req.body;
+// 1.5 Reward Endpoint (Ad watched, verified through AdMob SSV)
+app.post('/api/reward', authService.authenticate, rateLimit('reward'), async (req, res) => {
+    const { deviceId, rewardToken } = req.body;
     console.log(`[Reward] Request for device: ${deviceId}`);
     if (!deviceId) {
         return res.status(400).json({ error: "Missing Device ID" });
     }
-    const result = limitService.incrementLimit(deviceId);
+    const result = await limitService.incrementLimit(deviceId, rewardToken, req.user);
     console.log(`[Reward] Result:`, result);
+    if (!result.success) {
+        return res.status(403).json(result);
+    }
+    requestLogger.annotate(res, { adReward: 'credit' });
     res.json(result);
 });
 
+// 1.55 AdMob Server-Side Verification callback
+app.get('/api/admob/ssv', async (req, res) => {
+    try {
+        const rawQuery = req.originalUrl.split('?')[1] || '';
+        const result = await adRewardService.handleCallback(rawQuery);
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.status(200).json({ success: true });
+    } catch (error) {
+        console.error('AdMob SSV Error:', error);
+        res.status(500).json({ error: 'Verification failed' });
+    }
+});
+
 // 1.6 Rate Us Reward Endpoint
-app.post('/api/reward-rate', async (req, res) => {
+app.post('/api/reward-rate', authService.authenticate, rateLimit('reward-rate'), async (req, res) => {
     const { deviceId } = req.body;
     if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
 
-    const result = await limitService.claimRateReward(deviceId);
+    const result = await limitService.claimRateReward(deviceId, req.user);
     res.json(result);
 });
 
-// 1.8 Payment Endpoints (Razorpay Removed)
-// app.post('/api/create-order', ...);
-// app.post('/api/verify-payment', ...);
+// 1.65 Promo codes (credits or premium days, created by admins)
+app.post('/api/promo/redeem', authService.authenticate, rateLimit('reward'), async (req, res) => {
+    const { deviceId, code } = req.body;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+    if (!code) return res.status(400).json({ error: "Missing code" });
+
+    const result = await promoService.redeem(deviceId, code, req.user);
+    if (!result.success) {
+        return res.status(result.status || 400).json(result);
+    }
+    res.json(result);
+});
+
+// 1.66 Referrals: share your code; a new device applies it before its first generation
+// and both sides are credited once that generation completes.
+app.get('/api/referral/code', authService.authenticate, rateLimit('account'), async (req, res) => {
+    const { deviceId } = req.query;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+
+    const result = await referralService.getCode(deviceId, req.user);
+    if (!result.success) {
+        return res.status(result.status || 500).json(result);
+    }
+    res.json(result);
+});
+
+app.post('/api/referral/apply', authService.authenticate, rateLimit('reward'), async (req, res) => {
+    const { deviceId, code } = req.body;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+
+    const result = await referralService.apply(deviceId, code, req.user);
+    if (!result.success) {
+        return res.status(result.status || 400).json(result);
+    }
+    res.json(result);
+});
+
+// 1.67 Credit activity: the newest entries of the credit ledger (grants, generations, rewards, refunds...)
+app.get('/api/credits/activity', authService.authenticate, rateLimit('history'), deviceService.requireDeviceOrUser, async (req, res) => {
+    const { deviceId, limit, offset } = req.query;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
 
-// 2. Verify Payment (Google Play Billing)
-app.post('/api/verify-payment-google', async (req, res) => {
     try {
-        const { purchaseToken, productId, deviceId, orderId } = req.body;
+        const result = await limitService.creditActivity(deviceId, req.user, { limit, offset, timezone: requestTimezone(req) });
+        if (!result.success) return res.status(result.status).json({ error: result.error });
+        res.json(result);
+    } catch (error) {
+        console.error('Credit Activity Error:', error);
+        res.status(500).json({ error: 'Failed to load credit activity' });
+    }
+});
 
-        console.log(`Google Payment Received: ${orderId} for ${productId}`);
+// 1.7 Claim the premium on this device for the signed-in account
+app.post('/api/premium/claim', authService.requireAuth, rateLimit('account'), deviceService.requireDeviceWhenSignedIn, async (req, res) => {
+    const { deviceId } = req.body;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
 
-        // TODO: Validate 'purchaseToken' with Google Play Developer API using Service Account
-        // For now, we trust the Client (Risk of cracked apps sending fake requests, but okay for MVP)
+    const result = await limitService.claimPremium(deviceId, req.user);
+    if (!result.success) {
+        return res.status(409).json(result);
+    }
+    res.json(result);
+});
 
-        let days = 30;
-        if (productId.includes('year')) days = 365;
+// 1.75 Account Devices (premium follows the account onto its linked devices).
+// Linking a device, here or through a claim or purchase, needs the device's X-Device-Secret.
+app.get('/api/account/devices', authService.requireAuth, rateLimit('account'), async (req, res) => {
+    try {
+        res.json(await accountService.listDevices(req.user.uid, req.query.deviceId));
+    } catch (error) {
+        console.error('Devices Error:', error);
+        res.status(500).json({ error: 'Failed to load devices' });
+    }
+});
+
+app.post('/api/account/devices', authService.requireAuth, rateLimit('account'), deviceService.requireDeviceWhenSignedIn, async (req, res) => {
+    const { deviceId, label } = req.body;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+
+    const result = await accountService.linkDevice(req.user, deviceId, label);
+    if (!result.success) {
+        return res.status(409).json(result);
+    }
+    res.json(result);
+});
+
+app.delete('/api/account/devices/:deviceId', authService.requireAuth, rateLimit('account'), async (req, res) => {
+    const revoked = await accountService.revokeDevice(req.user.uid, req.params.deviceId);
+    if (!revoked) return res.status(404).json({ error: "Device not linked to this account" });
+    res.json({ success: true });
+});
+
+// 1.8 Payment Endpoints (Razorpay web checkout, see paymentService)
+app.post('/api/create-order', authService.authenticate, rateLimit('payment'), deviceService.requireDeviceWhenSignedIn, async (req, res) => {
+    try {
+        const { deviceId, productId } = req.body;
+        const result = await paymentService.createOrder({ deviceId, productId, uid: req.user?.uid });
+        if (!result.success) {
+            return res.status(result.status || 400).json({ success: false, error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Create Order Error:', error);
+        res.status(500).json({ success: false, error: 'Could not create order' });
+    }
+});
 
-        // Upgrade User
-        const result = await limitService.upgradeUser(deviceId, days, {
-            source: 'google_play',
-            order_id: orderId,
-            product_id: productId,
-            token: purchaseToken
+app.post('/api/verify-payment', authService.authenticate, rateLimit('payment'), deviceService.requireDeviceWhenSignedIn, async (req, res) => {
+    try {
+        const { deviceId, razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+        const result = await paymentService.verifyPayment({
+            orderId: razorpay_order_id,
+            paymentId: razorpay_payment_id,
+            signature: razorpay_signature,
+            deviceId,
+            user: req.user
         });
+        if (!result.success) {
+            return res.status(result.status || 400).json({ success: false, error: result.error });
+        }
+        res.json({ success: true, message: 'Premium Activated', ...result });
+    } catch (error) {
+        console.error('Razorpay Verification Error:', error);
+        res.status(500).json({ success: false, error: 'Verification failed' });
+    }
+});
+
+// 1.9 Razorpay webhooks (payment.captured, payment.failed, refund.processed)
+app.post('/api/razorpay/webhook', async (req, res) => {
+    if (!paymentService.verifyWebhookSignature(req.rawBody, req.get('X-Razorpay-Signature'))) {
+        return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    try {
+        const { status, result } = await paymentService.handleWebhook(req.body, req.get('X-Razorpay-Event-Id'));
+        res.status(status).json({ result });
+    } catch (error) {
+        console.error('Razorpay Webhook Error:', error);
+        res.status(500).json({ error: 'Webhook processing failed' });
+    }
+});
+
+// 2. Verify Payment (Google Play Billing)
+app.post('/api/verify-payment-google', authService.authenticate, rateLimit('payment'), deviceService.requireDeviceWhenSignedIn, async (req, res) => {
+    try {
+        const { purchaseToken, productId, deviceId, orderId } = req.body;
+
+        console.log(`Google Payment Received: ${orderId} for ${productId}`);
+
+        const result = await googlePlayService.verifyPurchase({ purchaseToken, productId, deviceId, orderId, uid: req.user?.uid });
+        if (!result.success) {
+            return res.status(result.status || 400).json({ success: false, error: result.error });
+        }
 
         res.json({ success: true, message: 'Premium Activated', ...result });
 
@@ -103,217 +271,586 @@ app.post('/api/verify-payment-google', async (req, res) => {
     }
 });
 
-// 3. Generate Prompt Endpoint
-app.post('/api/generate', upload.single('image'), async (req, res) => {
+// 2.1 Re-sync Google Play subscriptions (renewals, cancellations, expiry)
+app.post('/api/subscription/sync', authService.authenticate, rateLimit('payment'), deviceService.requireDeviceOrUser, async (req, res) => {
+    const { deviceId } = req.body;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+
+    try {
+        const orders = await googlePlayService.syncDevice(deviceId);
+        const status = await limitService.getLimitStatus(deviceId, req.user);
+        res.json({
+            success: true,
+            isPremium: status.isPremium || false,
+            expiryDate: status.expiryDate || null,
+            orders: orders.map(o => ({ orderId: o.orderId, productId: o.productId, state: o.state, expiryTime: o.expiryTime }))
+        });
+    } catch (error) {
+        console.error('Subscription Sync Error:', error);
+        res.status(500).json({ success: false, error: 'Sync failed' });
+    }
+});
+
+// 2.2 Google Play Real-time Developer Notifications (Pub/Sub push)
+app.post('/api/google-play/rtdn', async (req, res) => {
+    if (!(await rtdnService.verifyPush(req))) {
+        return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    try {
+        const { status, result } = await rtdnService.handlePush(req.body);
+        res.status(status).json({ result });
+    } catch (error) {
+        console.error('RTDN Error:', error);
+        res.status(500).json({ error: 'Notification processing failed' });
+    }
+});
+
+// Runs generationService.prepare for a request; sends the error response and
+// returns null when the generation can't go ahead.
+async function prepareGeneration(req, res) {
     // Determine source of body (multipart vs json)
     // If multipart, req.body fields are flattened. inputs is likely a stringified JSON.
-    let { deviceId, category, inputs, adRewardToken, email, phone } = req.body;
-
-    // Parse inputs if it comes as a string (from Multipart)
-    if (typeof inputs === 'string') {
-        try {
-            inputs = JSON.parse(inputs);
-        } catch (e) {
-            console.error("Failed to parse inputs JSON:", e);
-        }
+    const { deviceId, category, inputs, adRewardToken, noCache } = req.body;
+    requestLogger.annotate(res, { kind: 'generation', category: category || null });
+    const prepared = await generationService.prepare({
+        deviceId, category, inputs, adRewardToken,
+        user: req.user,
+        files: req.files,
+        timezone: requestTimezone(req),
+        noCache: noCache === true || noCache === 'true',
+        outputLanguage: requestOutputLanguage(req)
+    });
+    if (!prepared.ctx) {
+        res.status(prepared.status).json(prepared.body);
+        return null;
     }
+    logContext(res, prepared.ctx);
+    return prepared.ctx;
+}
 
-    if (!deviceId || !category || !inputs) {
-        return res.status(400).json({ error: "Missing required fields" });
-    }
+// The language to answer in: `outputLanguage` (or its alias `locale`) in the body.
+// Accept-Language only picks the language of error messages.
+function requestOutputLanguage(req) {
+    return req.body.outputLanguage || req.body.locale || null;
+}
 
-    // Check Limit
-    const limitStatus = await limitService.getLimitStatus(deviceId, email, phone);
+// Request log fields for a prepared generation (see requestLogger).
+function logContext(res, ctx) {
+    requestLogger.annotate(res, {
+        category: ctx.category,
+        isPremium: ctx.isPremium,
+        quotaBefore: ctx.quotaBefore,
+        outputLanguage: ctx.outputLanguage || null,
+        ...(ctx.adRewardId ? { adReward: 'generate' } : {})
+    });
+}
 
-    // If adRewardToken is true, we assume the user watched an ad.
-    // Ideally we should verify a real token, but for now we trust the client flag.
-    if (adRewardToken) {
-        console.log(`[Generate] Bypassing limit for device ${deviceId} due to Ad Reward.`);
-        // Don't increment. The reward is that we won't decrement later.
-    } else if (!limitStatus.allowed) {
-        return res.status(403).json({
-            error: "Daily limit reached",
-            upgrade: true
+// Request log fields for a model result; cached results cost nothing.
+function logResult(res, result, body) {
+    const usage = result.cached ? null : (result.usage || null);
+    requestLogger.annotate(res, {
+        provider: result.provider,
+        model: result.model,
+        cached: result.cached || false,
+        usage,
+        attempts: result.cached ? 0 : (result.attempts || 1),
+        retries: result.cached ? 0 : Math.max((result.attempts || 1) - 1, 0),
+        estimatedCostUsd: llmService.estimateCost(result.provider, result.model, usage),
+        ...(body ? { quotaAfter: body.remaining } : {})
+    });
+}
+
+// Request log fields for a batch: per-item counts, summed token usage and cost.
+function logBatchResult(res, generations, body) {
+    const fresh = generations.filter(result => !result.cached && result.usage);
+    const usage = fresh.length ? fresh.map(result => result.usage).reduce((a, b) => ({
+        promptTokens: a.promptTokens + b.promptTokens,
+        outputTokens: a.outputTokens + b.outputTokens,
+        totalTokens: a.totalTokens + b.totalTokens
+    })) : null;
+    requestLogger.annotate(res, {
+        succeeded: body.succeeded,
+        failed: body.failed,
+        cachedItems: generations.filter(result => result.cached).length,
+        usage,
+        estimatedCostUsd: fresh.reduce((sum, result) => sum + (llmService.estimateCost(result.provider, result.model, result.usage) || 0), 0),
+        quotaAfter: body.remaining
+    });
+}
+
+// 3. Generate Prompt Endpoint
+// Multipart requests may attach `image` and/or up to N `files` (see the category's `attachments`).
+// Identical text-only requests may be answered from the response cache (`cached: true`); send
+// `noCache: true` to force a fresh answer. `outputLanguage` (e.g. "hi", "hinglish"; see
+// config/languages.json) sets the language of the answer.
+// With an `Idempotency-Key` header, a retry of a successful request gets the original response back
+// (header `Idempotent-Replayed: true`) without being charged again; 409 while the first is still running,
+// 422 if the key was used for a different request.
+app.post('/api/generate', authService.authenticate, rateLimitIp('generate'), uploadService.acceptFiles, rateLimit('generate'), async (req, res) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    const { deviceId } = req.body;
+    if (idempotencyKey !== undefined) {
+        if (!idempotencyService.isValidKey(idempotencyKey)) {
+            return res.status(400).json({ error: "Invalid Idempotency-Key header" });
+        }
+        if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+
+        const claim = await idempotencyService.claim(deviceId, idempotencyKey, 'generate', {
+            category: req.body.category,
+            inputs: req.body.inputs,
+            outputLanguage: requestOutputLanguage(req)
         });
+        if (claim.state === 'replay') {
+            console.log(`[Generate] Replaying response for idempotency key (device ${deviceId})`);
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(claim.status).json(claim.body);
+        }
+        if (claim.state === 'in_progress') {
+            return res.status(409).json({ error: "A request with this Idempotency-Key is still in progress" });
+        }
+        if (claim.state === 'mismatch') {
+            return res.status(422).json({ error: "This Idempotency-Key was used for a different request" });
+        }
     }
 
+    let ctx = null;
     try {
-        // Construct Prompt based on Category
-        let systemInstruction = "";
-        let userPrompt = "";
-
-        switch (category.toLowerCase()) {
-            case 'email':
-                const emailTone = inputs.tone || 'Professional';
-                systemInstruction = `You are an expert email copywriter. Generate a ${emailTone.toLowerCase()} email based on the user's details. The tone MUST be ${emailTone.toLowerCase()} - adjust language, formality, and urgency accordingly. Return ONLY the email subject and body.`;
-                userPrompt = `Recipient: ${inputs.recipient}\nTopic: ${inputs.topic}\nTone: ${emailTone}\nContext: ${inputs.details || 'None'}`;
-                break;
-            case 'social':
-                systemInstruction = "You are a social media manager. Create an engaging post for the specified platform. Include hashtags and emojis. Return ONLY the post text.";
-                userPrompt = `Write a ${inputs.platform} post about ${inputs.topic} targeted at ${inputs.audience || 'General'}.`;
-                if (req.file) { // Check for image presence
-                    userPrompt += " The post should be based on the content of the attached image. Describe the image and integrate it into the post naturally.";
-                }
-                break;
-            case 'code':
-                systemInstruction = "You are a senior software engineer. Generate specific, clean, and commented code for the requested task. Accept input in ANY language (English, Hindi, Hinglish, etc.) and respond in English. Return ONLY the code logic wrapped in markdown blocks.";
-                userPrompt = `Language: ${inputs.language}\nTask: ${inputs.task}`;
-                break;
-            case 'error_solver':
-                systemInstruction = "You are an expert debugger. Analyze the provided error image and description. Explain the error and provide a step-by-step solution with code snippets if applicable.";
-                userPrompt = `Description: ${inputs.description || 'See attached image'}`;
-                break;
-            case 'smart_analyze':
-                const intent = inputs.intent; // 'create', 'edit', 'error', 'custom'
-                const context = inputs.context || '';
-
-                systemInstruction = `
-You are an expert Prompt Engineer and Image Analyst. 
-Analyze the provided image and the user's intent: "${intent}".
-Return a JSON response (without markdown formatting) with the following keys:
-1. "analysis": A brief, 1-sentence description of what is in the image.
-2. "prompt": A highly optimized, professional text prompt that the user can use in another AI tool (like Midjourney, ChatGPT, or Stable Diffusion) to achieve their goal.
-3. "tip": A short, helpful tip related to their goal.
-
-Intent Guidelines:
-- If intent is 'create_image': Write a detailed Stable Diffusion/Midjourney prompt to recreate a similar concept.
-- If intent is 'edit_image': Write a prompt describing changes or inpainting instructions.
-- If intent is 'fix_error': Analyze the code/error in the screenshot. Write a "Meta-Prompt" for ChatGPT that describes the error context, library versions (if visible), and asks for a specific fix.
-- If intent is 'custom': Follow this context: ${context}
-`;
-                userPrompt = `Analyze this image with Intent: ${intent}.`;
-                break;
-
-            default:
-                systemInstruction = "You are a helpful AI assistant. Generate a high-quality text prompt based on the user input.";
-                userPrompt = JSON.stringify(inputs);
-        }
+        ctx = await prepareGeneration(req, res);
+    } finally {
+        // Rejected (or failed) before the model call: nothing is stored, the same key can be retried
+        if (!ctx && idempotencyKey) await idempotencyService.release(deviceId, idempotencyKey);
+    }
+    if (!ctx) return;
 
-        // Call Gemini with Retry Logic
-        const model = genAI.getGenerativeModel({ model: "gemini-flash-latest" });
-
-        const chat = model.startChat({
-            history: [
-                {
-                    role: "user",
-                    parts: [{ text: systemInstruction }],
-                },
-                {
-                    role: "model",
-                    parts: [{ text: "Understood. I will act as the expert defined above." }],
-                },
-            ],
-        });
+    try {
+        // Call the model (retries and fallback models are handled by llmService,
+        // schema validation and repair for structured categories by generationService)
+        const result = await generationService.generate(ctx);
 
-        let parts = [{ text: userPrompt }];
-
-        // Add Image if present
-        if (req.file) {
-            const imageBuffer = fs.readFileSync(req.file.path);
-            const base64Image = imageBuffer.toString('base64');
-            const imagePart = {
-                inlineData: {
-                    data: base64Image,
-                    mimeType: req.file.mimetype,
-                },
-            };
-            parts.push(imagePart);
-        }
+        console.log(`[Generate] Success via ${result.provider}:${result.model}. Length: ${result.text.length}`);
+        const body = await generationService.complete(ctx, result);
+        logResult(res, result, body);
+        if (idempotencyKey) await idempotencyService.saveResponse(deviceId, idempotencyKey, 200, body);
+        res.json(body);
 
-        let text = "";
-        let retryCount = 0;
-        const maxRetries = 2;
-
-        while (retryCount <= maxRetries) {
-            try {
-                const result = await chat.sendMessage(parts);
-                const response = await result.response;
-                text = response.text();
-                break; // Success, exit loop
-            } catch (err) {
-                if ((err.status === 429 || err.status === 503) && retryCount < maxRetries) {
-                    console.log(`[Gemini] Rate Limit/Busy (Attempt ${retryCount + 1}). Retrying in 2s...`);
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                    retryCount++;
-                } else {
-                    throw err; // Fatal error or max retries reached
-                }
-            }
-        }
+    } catch (error) {
+        console.error("Generation Error:", error);
+        await generationService.refund(ctx);
+        if (idempotencyKey) await idempotencyService.release(deviceId, idempotencyKey);
 
-        // Decrement usage count (only if not ad rewarded)
-        if (!adRewardToken) {
-            await limitService.decrementLimit(deviceId, email, phone);
+        // Forward configured status code if available (e.g. 429, 503)
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message || "Provider Error", ...error.body });
         }
 
-        // Clean up: Delete temp file
-        if (req.file) {
-            fs.unlink(req.file.path, (err) => {
-                if (err) console.error("Error deleting temp file:", err);
-            });
-        }
+        res.status(500).json({ error: "Failed to generate prompt. Try again later." });
+    }
+});
 
-        // --- 3. Return Response (Clean JSON) ---
-        // If the category asked for JSON, try to parse it (Gemini sometimes adds markdown blocks)
-        if (['smart_analyze'].includes(category.toLowerCase())) {
-            try {
-                // Remove Markdown blocks (```json ... ```)
-                const jsonMatch = text.match(/```json\n([\s\S]*?)\n```/) || text.match(/```\n([\s\S]*?)\n```/);
-                if (jsonMatch) {
-                    text = jsonMatch[1];
-                }
-                const parsed = JSON.parse(text);
-
-                // Fetch updated limit
-                const newLimit = await limitService.getLimitStatus(deviceId);
-
-                return res.json({
-                    success: true,
-                    prompt: parsed.prompt,
-                    analysis: parsed.analysis,
-                    tip: parsed.tip,
-                    remaining: newLimit.remaining
-                });
-            } catch (e) {
-                console.error("JSON Parse Error from Gemini:", e);
-                // Fallback -> return raw text as prompt
-                const newLimit = await limitService.getLimitStatus(deviceId);
-                return res.json({
-                    success: true,
-                    prompt: text,
-                    analysis: "Auto-Analysis Failed",
-                    tip: "Check prompt above",
-                    remaining: newLimit.remaining
-                });
-            }
-        }
+// 3.1 Streaming Generate Endpoint (Server-Sent Events)
+// Events: `chunk` { text }, then either `done` { success, prompt, ..., remaining } or `error` { error, status }.
+// Output moderation runs on the full text, so a blocked stream ends with `error` (code content_blocked)
+// and clients must discard the chunks they showed. Failed or abandoned streams are refunded.
+app.post('/api/generate/stream', authService.authenticate, rateLimitIp('generate'), uploadService.acceptFiles, rateLimit('generate'), async (req, res) => {
+    const ctx = await prepareGeneration(req, res);
+    if (!ctx) return;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Abort the upstream request if the client goes away mid-stream.
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    let text = "";
+    try {
+        const request = generationService.buildRequest(ctx);
+        const result = await llmService.generateStream({ ...request, signal: controller.signal });
 
-        console.log(`[Generate] Success. Length: ${text.length}`);
-        if (!text) {
-            console.error("[Generate] Empty response text!");
+        for await (const chunkText of result.stream) {
+            text += chunkText;
+            sendEvent('chunk', { text: chunkText });
         }
+        const { usage } = await result.response;
+
+        console.log(`[Generate/Stream] Success via ${result.provider}:${result.model}. Length: ${text.length}`);
+        // Structured categories stream raw JSON; `done` carries the validated (or repaired) fields.
+        const final = await generationService.ensureStructured(ctx, request, { ...result, text, usage }, { signal: controller.signal });
+        const body = await generationService.complete(ctx, final);
+        logResult(res, final, body);
+        sendEvent('done', body);
+    } catch (error) {
+        await generationService.refund(ctx);
+
+        if (controller.signal.aborted) {
+            console.log(`[Generate/Stream] Client disconnected after ${text.length} chars. Refunded.`);
+            requestLogger.annotate(res, { outcome: 'aborted' });
+        } else {
+            console.error("Generation Stream Error:", error);
+            // The stream already answered 200, so the outcome has to be logged explicitly
+            requestLogger.annotate(res, { outcome: error.status && error.status < 500 ? 'rejected' : 'error', errorStatus: error.status || 500 });
+            const { body } = i18n.localizeError({
+                error: error.status ? (error.message || "Provider Error") : "Failed to generate prompt. Try again later.",
+                status: error.status || 500,
+                ...error.body
+            }, error.status || 500, req.get('Accept-Language'));
+            sendEvent('error', body);
+        }
+    } finally {
+        res.end();
+    }
+});
 
-        let output = { prompt: text };
+// 3.2 Batch Generate Endpoint: several versions in one request (JSON only, no attachments or ad rewards).
+// Body: { deviceId, category, inputs: [{...}, ...] } or { deviceId, category, inputs: {...}, variants: n }.
+// The whole batch is charged up front (403 with `needed` if the balance doesn't cover it) and items
+// that fail are refunded. Once the batch has run the response is 200, with per-item results
+// ({ success: false, status, error } for the items that failed).
+app.post('/api/generate/batch', authService.authenticate, rateLimit('generate'), async (req, res) => {
+    const { deviceId, category, inputs, variants, noCache } = req.body;
+    requestLogger.annotate(res, { kind: 'batch', category: category || null });
+    const prepared = await generationService.prepareBatch({
+        deviceId, category, inputs, variants,
+        user: req.user,
+        timezone: requestTimezone(req),
+        noCache: noCache === true,
+        outputLanguage: requestOutputLanguage(req)
+    });
+    if (!prepared.batch) return res.status(prepared.status).json(prepared.body);
+    const batch = prepared.batch;
+    logContext(res, batch);
+    requestLogger.annotate(res, { batchSize: batch.items.length });
+
+    // Items still waiting are abandoned (and refunded) if the client goes away.
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
 
-        const updatedStatus = await limitService.getLimitStatus(deviceId, email, phone);
-        res.json({
-            success: true,
-            ...output,
-            remaining: updatedStatus.remaining
-        });
+    try {
+        const { body, generations } = await generationService.runBatch(batch, { signal: controller.signal });
+        logBatchResult(res, generations, body);
+        // Failed items are errors too
+        body.items = body.items.map(item => item.success ? item : i18n.localizeError(item, item.status, req.get('Accept-Language')).body);
+        res.json(body);
+    } catch (error) {
+        console.error("Batch Generation Error:", error);
+        res.status(500).json({ error: "Failed to generate prompts. Try again later." });
+    }
+});
 
+// 4. History Endpoints (the signed-in account's history, or the device's when signed out;
+// anonymous requests must send X-Device-Secret, see deviceService)
+app.get('/api/history', authService.authenticate, rateLimit('history'), deviceService.requireDeviceOrUser, async (req, res) => {
+    const { deviceId, limit, offset, tag, category } = req.query;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+
+    const favorite = req.query.favorite === undefined ? undefined : req.query.favorite === 'true';
+    try {
+        res.json(await historyService.list(deviceId, req.user, { limit, offset, favorite, tag, category }));
     } catch (error) {
-        console.error("Gemini Error:", error);
+        console.error('History Error:', error);
+        res.status(500).json({ error: 'Failed to load history' });
+    }
+});
 
-        // Forward configured status code if available (e.g. 429, 503)
+app.patch('/api/history/:id', authService.authenticate, rateLimit('history'), deviceService.requireDeviceOrUser, async (req, res) => {
+    const { deviceId, favorite, tags } = req.body;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+    if (tags !== undefined && !Array.isArray(tags)) return res.status(400).json({ error: "tags must be an array" });
+
+    const entry = await historyService.update(deviceId, req.user, req.params.id, { favorite, tags });
+    if (!entry) return res.status(404).json({ error: "History entry not found" });
+    res.json({ success: true, entry });
+});
+
+app.delete('/api/history/:id', authService.authenticate, rateLimit('history'), deviceService.requireDeviceOrUser, async (req, res) => {
+    const deviceId = req.query.deviceId || req.body?.deviceId;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+
+    const removed = await historyService.remove(deviceId, req.user, req.params.id);
+    if (!removed) return res.status(404).json({ error: "History entry not found" });
+    res.json({ success: true });
+});
+
+app.delete('/api/history', authService.authenticate, rateLimit('history'), deviceService.requireDeviceOrUser, async (req, res) => {
+    const deviceId = req.query.deviceId || req.body?.deviceId;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+
+    const deleted = await historyService.removeAll(deviceId, req.user);
+    res.json({ success: true, deleted });
+});
+
+// 4.1 Regenerate from a history entry (charged like a normal generation)
+app.post('/api/history/:id/regenerate', authService.authenticate, rateLimit('generate'), deviceService.requireDeviceOrUser, async (req, res) => {
+    const { deviceId, adRewardToken } = req.body;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+
+    const entry = await historyService.get(deviceId, req.user, req.params.id);
+    if (!entry) return res.status(404).json({ error: "History entry not found" });
+    if (entry.hasImage || entry.attachmentCount) {
+        // Uploaded files are not kept, so the original request can't be replayed.
+        return res.status(400).json({ error: "Generations with attachments cannot be regenerated" });
+    }
+
+    const prepared = await generationService.prepare({
+        deviceId,
+        category: entry.category,
+        inputs: entry.inputs,
+        adRewardToken,
+        user: req.user,
+        timezone: requestTimezone(req),
+        // The user wants a different answer, not the cached one
+        noCache: true,
+        // In the original language unless the request asks for another
+        outputLanguage: requestOutputLanguage(req) || entry.outputLanguage
+    });
+    requestLogger.annotate(res, { kind: 'generation', category: entry.category });
+    if (!prepared.ctx) return res.status(prepared.status).json(prepared.body);
+    const ctx = prepared.ctx;
+    logContext(res, ctx);
+
+    try {
+        const result = await generationService.generate(ctx);
+        const body = await generationService.complete(ctx, result);
+        logResult(res, result, body);
+        res.json(body);
+    } catch (error) {
+        console.error("Regenerate Error:", error);
+        await generationService.refund(ctx);
         if (error.status) {
-            return res.status(error.status).json({ error: error.message || "Provider Error" });
+            return res.status(error.status).json({ error: error.message || "Provider Error", ...error.body });
         }
+        res.status(500).json({ error: "Failed to generate prompt. Try again later." });
+    }
+});
+
+// 4.2 Refinement Sessions: follow-up messages ("make it shorter") on a history entry.
+// Follow-ups are charged by the plan's `refinement` rule; 409 (code session_limit) once a
+// session runs out of turns or tokens. Sessions are owned like history (see 4.).
+app.post('/api/sessions', authService.authenticate, rateLimit('history'), deviceService.requireDeviceOrUser, async (req, res) => {
+    const { deviceId, historyId } = req.body;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+    if (!historyId) return res.status(400).json({ error: "Missing History ID" });
+
+    try {
+        const result = await sessionService.create(deviceId, historyId, req.user);
+        res.status(result.status).json(result.body);
+    } catch (error) {
+        console.error('Session Create Error:', error);
+        res.status(500).json({ error: 'Failed to start session' });
+    }
+});
 
+app.get('/api/sessions', authService.authenticate, rateLimit('history'), deviceService.requireDeviceOrUser, async (req, res) => {
+    const { deviceId, limit } = req.query;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+
+    try {
+        const result = await sessionService.list(deviceId, req.user, { limit });
+        res.status(result.status).json(result.body);
+    } catch (error) {
+        console.error('Session List Error:', error);
+        res.status(500).json({ error: 'Failed to load sessions' });
+    }
+});
+
+app.get('/api/sessions/:id', authService.authenticate, rateLimit('history'), deviceService.requireDeviceOrUser, async (req, res) => {
+    const { deviceId } = req.query;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+
+    try {
+        const result = await sessionService.get(deviceId, req.user, req.params.id);
+        res.status(result.status).json(result.body);
+    } catch (error) {
+        console.error('Session Error:', error);
+        res.status(500).json({ error: 'Failed to load session' });
+    }
+});
+
+app.post('/api/sessions/:id/messages', authService.authenticate, rateLimit('generate'), deviceService.requireDeviceOrUser, async (req, res) => {
+    const { deviceId, message } = req.body;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+
+    try {
+        const result = await sessionService.followUp(deviceId, req.params.id, message, {
+            user: req.user,
+            timezone: requestTimezone(req)
+        });
+        requestLogger.annotate(res, { kind: 'refinement' });
+        if (result.generation) logResult(res, result.generation, result.body);
+        res.status(result.status).json(result.body);
+    } catch (error) {
+        console.error("Session Follow-up Error:", error);
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message || "Provider Error", ...error.body });
+        }
         res.status(500).json({ error: "Failed to generate prompt. Try again later." });
     }
 });
 
+app.delete('/api/sessions/:id', authService.authenticate, rateLimit('history'), deviceService.requireDeviceOrUser, async (req, res) => {
+    const deviceId = req.query.deviceId || req.body?.deviceId;
+    if (!deviceId) return res.status(400).json({ error: "Missing Device ID" });
+
+    try {
+        const result = await sessionService.remove(deviceId, req.user, req.params.id);
+        res.status(result.status).json(result.body);
+    } catch (error) {
+        console.error('Session Delete Error:', error);
+        res.status(500).json({ error: 'Failed to delete session' });
+    }
+});
+
+// 5. Admin Endpoints (admin users only; every action is written to the audit log)
+function sendAdminResult(res, result) {
+    if (!result.success) return res.status(result.status || 500).json({ error: result.error });
+    res.json(result);
+}
+
+app.get('/api/admin/users', authService.requireAdmin, async (req, res) => {
+    try {
+        const { deviceId, email, phone } = req.query;
+        sendAdminResult(res, await adminService.lookupUsers(req.user, { deviceId, email, phone }));
+    } catch (error) {
+        console.error('Admin Lookup Error:', error);
+        res.status(500).json({ error: 'Lookup failed' });
+    }
+});
+
+app.get('/api/admin/users/:deviceId', authService.requireAdmin, async (req, res) => {
+    try {
+        const records = await adminService.getUserRecords(req.params.deviceId);
+        await adminService.audit(req.user, 'view_user', { deviceId: req.params.deviceId });
+        res.json(records);
+    } catch (error) {
+        console.error('Admin View Error:', error);
+        res.status(500).json({ error: 'Failed to load user' });
+    }
+});
+
+// Grant or extend premium: { days, plan?, uid?, reason }
+app.post('/api/admin/users/:deviceId/premium', authService.requireAdmin, async (req, res) => {
+    sendAdminResult(res, await adminService.grantPremium(req.user, req.params.deviceId, req.body || {}));
+});
+
+// Revoke premium: { uid?, reason }
+app.delete('/api/admin/users/:deviceId/premium', authService.requireAdmin, async (req, res) => {
+    sendAdminResult(res, await adminService.revokePremium(req.user, req.params.deviceId, req.body || {}));
+});
+
+// Quota fixes: { uid?, resetCount?, count?, credits?, resetHasRated?, reason }
+app.post('/api/admin/users/:deviceId/quota', authService.requireAdmin, async (req, res) => {
+    try {
+        sendAdminResult(res, await adminService.adjustQuota(req.user, req.params.deviceId, req.body || {}));
+    } catch (error) {
+        console.error('Admin Quota Error:', error);
+        res.status(500).json({ error: 'Quota update failed' });
+    }
+});
+
+app.get('/api/admin/orders', authService.requireAdmin, async (req, res) => {
+    try {
+        sendAdminResult(res, await adminService.listOrders(req.user, req.query));
+    } catch (error) {
+        console.error('Admin Orders Error:', error);
+        res.status(500).json({ error: 'Failed to load orders' });
+    }
+});
+
+app.get('/api/admin/audit', authService.requireAdmin, async (req, res) => {
+    try {
+        const entries = await adminService.listAuditLog(req.query);
+        await adminService.audit(req.user, 'list_audit_log', { deviceId: req.query.deviceId });
+        res.json({ entries });
+    } catch (error) {
+        console.error('Admin Audit Error:', error);
+        res.status(500).json({ error: 'Failed to load audit log' });
+    }
+});
+
+app.get('/api/admin/abuse-flags', authService.requireAdmin, async (req, res) => {
+    try {
+        const flags = await adminService.listAbuseFlags(req.query);
+        await adminService.audit(req.user, 'list_abuse_flags', {});
+        res.json({ flags });
+    } catch (error) {
+        console.error('Admin Abuse Flags Error:', error);
+        res.status(500).json({ error: 'Failed to load abuse flags' });
+    }
+});
+
+// Promo codes: { code?, type: credits|premium, amount, plan?, expiresAt?, maxRedemptions?, perUserLimit?, reason }
+app.post('/api/admin/promo-codes', authService.requireAdmin, async (req, res) => {
+    try {
+        sendAdminResult(res, await adminService.createPromoCode(req.user, req.body || {}));
+    } catch (error) {
+        console.error('Admin Promo Error:', error);
+        res.status(500).json({ error: 'Failed to create promo code' });
+    }
+});
+
+app.get('/api/admin/promo-codes', authService.requireAdmin, async (req, res) => {
+    try {
+        sendAdminResult(res, await adminService.listPromoCodes(req.user, req.query));
+    } catch (error) {
+        console.error('Admin Promo Error:', error);
+        res.status(500).json({ error: 'Failed to load promo codes' });
+    }
+});
+
+// Deactivate: { reason }
+app.delete('/api/admin/promo-codes/:code', authService.requireAdmin, async (req, res) => {
+    try {
+        sendAdminResult(res, await adminService.deactivatePromoCode(req.user, req.params.code, req.body || {}));
+    } catch (error) {
+        console.error('Admin Promo Error:', error);
+        res.status(500).json({ error: 'Failed to deactivate promo code' });
+    }
+});
+
+// Daily generations by category, error rate, premium vs free, ad rewards and estimated model cost
+// (from the request log; ?days=7, at most 90).
+app.get('/api/admin/analytics', authService.requireAdmin, async (req, res) => {
+    try {
+        const analytics = await requestLogger.analytics({ days: req.query.days });
+        await adminService.audit(req.user, 'view_analytics', {}, { details: { days: req.query.days || null } });
+        res.json(analytics);
+    } catch (error) {
+        console.error('Admin Analytics Error:', error);
+        res.status(500).json({ error: 'Failed to load analytics' });
+    }
+});
+
+// Stale upload sweeper (minutes, 0 disables). Uploads are normally deleted when their request ends.
+const uploadSweepMinutes = Number(process.env.UPLOAD_SWEEP_MINUTES || 10);
+if (uploadSweepMinutes > 0) {
+    uploadService.startUploadSweeper(uploadSweepMinutes * 60 * 1000);
+}
+
+// Refund / chargeback polling (minutes, 0 disables)
+const voidedSyncMinutes = Number(process.env.PLAY_VOIDED_SYNC_MINUTES || 0);
+if (voidedSyncMinutes > 0) {
+    googlePlayService.startVoidedPurchaseSync(voidedSyncMinutes * 60 * 1000);
+}
+
+// Paid-but-unverified Razorpay orders (minutes, 0 disables)
+const razorpayReconcileMinutes = Number(process.env.RAZORPAY_RECONCILE_MINUTES || 0);
+if (razorpayReconcileMinutes > 0) {
+    paymentService.startOrderReconciliation(razorpayReconcileMinutes * 60 * 1000);
+}
+
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`Server running on http://0.0.0.0:${PORT}`);
 });
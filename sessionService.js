@@ -0,0 +1,286 @@
+const { getStore } = require('./storage');
+const limitService = require('./limitService');
+const planService = require('./planService');
+const templateRegistry = require('./templateRegistry');
+const historyService = require('./historyService');
+const moderationService = require('./moderationService');
+const generationService = require('./generationService');
+const llmService = require('./llmService');
+const structuredOutput = require('./structuredOutput');
+
+// Multi-turn refinement sessions ("make it shorter", "more formal") on top of a finished generation.
+//
+// A session starts from a history entry: the original prompt and answer become the first two
+// turns, and every follow-up replays the stored turns as chat history before the new message.
+// Sessions live in the `sessions` collection, owned like history entries: by the account when
+// started signed in (`uid`), otherwise by the device.
+// Turn and token limits and the credit cost of each follow-up come from the tier's
+// `refinement` policy (see planService).
+// Every function returns { status, body } for the response (followUp adds `generation`, the model result).
+
+const MAX_MESSAGE_LENGTH = Number(process.env.SESSION_MAX_MESSAGE_LENGTH || 1000);
+const MAX_SESSIONS_PER_DEVICE = Number(process.env.SESSIONS_MAX_PER_DEVICE || 20);
+const MAX_PAGE_SIZE = 50;
+
+function toSession(doc) {
+    return { id: doc.id, ...doc.data() };
+}
+
+// The list view leaves out the turns.
+function toSummary(session) {
+    const { turns, initialPrompt, initialResponse, inputs, ...summary } = session;
+    return summary;
+}
+
+// The original answer as the model would have written it: JSON for structured
+// categories, plain text otherwise.
+function modelText(template, output) {
+    const schema = template.responseSchema;
+    if (!schema) return output.prompt || '';
+    const data = {};
+    for (const key of Object.keys(schema.properties || {})) {
+        if (output[key] !== undefined) data[key] = output[key];
+    }
+    return JSON.stringify(data);
+}
+
+function ownerQuery(deviceId, user) {
+    const sessions = getStore().collection('sessions');
+    return user ? sessions.where('uid', '==', user.uid) : sessions.where('deviceId', '==', deviceId).where('uid', '==', null);
+}
+
+// The session if it belongs to this user (or, signed out, to this device), otherwise null.
+async function load(deviceId, id, user) {
+    const doc = await getStore().collection('sessions').doc(id).get();
+    if (!doc.exists) return null;
+    const session = doc.data();
+    const owned = user ? session.uid === user.uid : !session.uid && session.deviceId === deviceId;
+    if (!owned) return null;
+    return toSession(doc);
+}
+
+// Starts a session from the history entry `historyId`.
+async function create(deviceId, historyId, user = null) {
+    const entry = await historyService.get(deviceId, user, historyId);
+    if (!entry) return { status: 404, body: { error: "History entry not found" } };
+    if (entry.hasImage || entry.attachmentCount) {
+        // Uploaded files are not kept, so the conversation can't be replayed.
+        return { status: 400, body: { error: "Generations with attachments cannot be refined" } };
+    }
+
+    const template = await templateRegistry.getTemplate(entry.category);
+    const { userPrompt } = templateRegistry.renderPrompt(template, entry.inputs, { outputLanguage: entry.outputLanguage });
+    const now = new Date().toISOString();
+    const session = {
+        deviceId,
+        uid: user ? user.uid : null,
+        historyId,
+        category: entry.category,
+        inputs: entry.inputs,
+        outputLanguage: entry.outputLanguage || null,
+        initialPrompt: userPrompt,
+        initialResponse: modelText(template, entry.output),
+        turns: [],
+        turnCount: 0,
+        tokensUsed: 0,
+        createdAt: now,
+        updatedAt: now
+    };
+    const ref = await getStore().collection('sessions').add(session);
+    await prune(deviceId);
+    console.log(`[Session] Created ${ref.id} from history ${historyId} for device ${deviceId}`);
+    return { status: 201, body: { success: true, session: { id: ref.id, ...session } } };
+}
+
+// Keeps the device's MAX_SESSIONS_PER_DEVICE most recently used sessions.
+async function prune(deviceId) {
+    const snapshot = await getStore().collection('sessions')
+        .where('deviceId', '==', deviceId)
+        .orderBy('updatedAt', 'desc')
+        .get();
+    for (const doc of snapshot.docs.slice(MAX_SESSIONS_PER_DEVICE)) {
+        await doc.ref.delete();
+    }
+}
+
+// Most recently used first.
+async function list(deviceId, user, { limit = 20 } = {}) {
+    const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+    const snapshot = await ownerQuery(deviceId, user)
+        .orderBy('updatedAt', 'desc')
+        .limit(pageSize)
+        .get();
+    return { status: 200, body: { items: snapshot.docs.map(doc => toSummary(toSession(doc))) } };
+}
+
+async function get(deviceId, user, id) {
+    const session = await load(deviceId, id, user);
+    if (!session) return { status: 404, body: { error: "Session not found" } };
+    return { status: 200, body: { session } };
+}
+
+async function remove(deviceId, user, id) {
+    const session = await load(deviceId, id, user);
+    if (!session) return { status: 404, body: { error: "Session not found" } };
+    await getStore().collection('sessions').doc(id).delete();
+    return { status: 200, body: { success: true } };
+}
+
+function sessionLimit(reason, message, rules) {
+    return {
+        status: 409,
+        body: { error: message, code: 'session_limit', reason, maxTurns: rules.maxTurns, maxTokens: rules.maxTokens }
+    };
+}
+
+function notEnoughCredits(limitStatus, cost) {
+    const monthly = limitStatus.quota.monthly;
+    const blockedBy = monthly && monthly.remaining < cost ? 'monthly' : 'daily';
+    return {
+        status: 403,
+        body: {
+            error: generationService.limitMessage({ ...limitStatus, blockedBy }),
+            reason: blockedBy,
+            upgrade: !limitStatus.isPremium,
+            quota: limitStatus.quota
+        }
+    };
+}
+
+// Sends a follow-up message and records the answer as the next turn.
+// Throws provider errors (with .status) like generationService.generate, after refunding the turn.
+async function followUp(deviceId, id, message, { user = null, timezone = null, signal } = {}) {
+    const session = await load(deviceId, id, user);
+    if (!session) return { status: 404, body: { error: "Session not found" } };
+
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (!text || text.length > MAX_MESSAGE_LENGTH) {
+        const problem = text ? `must be at most ${MAX_MESSAGE_LENGTH} characters` : 'is required';
+        return { status: 400, body: { error: "Invalid message", fields: [{ field: 'message', message: problem }] } };
+    }
+
+    const moderation = await moderationService.checkInputs({ message: text });
+    if (!moderation.allowed) {
+        return {
+            status: 422,
+            body: { error: "This request is not allowed", code: 'content_blocked', categories: moderation.categories }
+        };
+    }
+
+    const limitStatus = await limitService.getLimitStatus(deviceId, user, { timezone });
+    if (limitStatus.error) return { status: 500, body: { error: limitStatus.error } };
+
+    const policy = await planService.getPolicy(limitStatus.quota.tier);
+    const rules = planService.refinementFor(policy);
+    const turn = session.turnCount + 1;
+    if (turn > rules.maxTurns) {
+        return sessionLimit('turns', "This session has reached its follow-up limit", rules);
+    }
+    if (session.tokensUsed >= rules.maxTokens) {
+        return sessionLimit('tokens', "This session has reached its length limit", rules);
+    }
+
+    const cost = planService.turnCostFor(policy, turn);
+    if (cost > 0 && limitStatus.remaining < cost) {
+        return notEnoughCredits(limitStatus, cost);
+    }
+
+    // Replay the conversation so far, then the new message
+    const template = await templateRegistry.getTemplate(session.category);
+    const { systemInstruction } = templateRegistry.renderPrompt(template, session.inputs, { outputLanguage: session.outputLanguage });
+    const history = [
+        { role: 'user', parts: [{ text: session.initialPrompt }] },
+        { role: 'model', parts: [{ text: session.initialResponse }] },
+        ...session.turns.map(t => ({
+            role: t.role,
+            parts: [{ text: t.role === 'user' ? templateRegistry.wrapUserContent(t.text) : t.text }]
+        }))
+    ];
+    const request = {
+        category: template.id,
+        systemInstruction,
+        history,
+        parts: [{ text: templateRegistry.wrapUserContent(text) }],
+        responseSchema: template.responseSchema ? structuredOutput.toProviderSchema(template.responseSchema) : undefined
+    };
+
+    // Charged up front like generations, and refunded if the turn fails
+    let charge = null;
+    if (cost > 0) {
+        const charged = await limitService.decrementLimit(deviceId, user, { cost, type: 'refinement', details: { sessionId: id } });
+        if (!charged.success) {
+            if (!charged.insufficient) return { status: 500, body: { error: "Database Error" } };
+            return notEnoughCredits(limitStatus, cost);
+        }
+        charge = charged.charge;
+    }
+
+    const ctx = { category: template.id, template };
+    let result;
+    try {
+        const raw = await llmService.generate({ ...request, signal });
+        result = await generationService.ensureStructured(ctx, request, raw, { signal });
+
+        const outputCheck = await moderationService.checkOutput(result.text);
+        if (!outputCheck.allowed) {
+            throw moderationService.blockedError(outputCheck.categories);
+        }
+    } catch (e) {
+        await limitService.refundCharge(deviceId, user, charge, 'refinement_failed');
+        throw e;
+    }
+
+    const tokens = result.usage ? result.usage.totalTokens : 0;
+    const now = new Date().toISOString();
+    const db = getStore();
+    const ref = db.collection('sessions').doc(id);
+    const saved = await db.runTransaction(async (t) => {
+        const doc = await t.get(ref);
+        if (!doc.exists) return null;
+        const data = doc.data();
+        const update = {
+            turns: [
+                ...data.turns,
+                { role: 'user', text, createdAt: now },
+                { role: 'model', text: result.text, createdAt: now }
+            ],
+            turnCount: data.turnCount + 1,
+            tokensUsed: data.tokensUsed + tokens,
+            updatedAt: now
+        };
+        t.update(ref, update);
+        return update;
+    });
+    if (!saved) {
+        // Deleted while the model was answering
+        await limitService.refundCharge(deviceId, user, charge, 'session_deleted');
+        return { status: 404, body: { error: "Session not found" } };
+    }
+
+    const updatedStatus = await limitService.getLimitStatus(deviceId, user, { timezone });
+    console.log(`[Session] Turn ${saved.turnCount} on ${id} via ${result.provider}:${result.model} (cost ${cost}, ${tokens} tokens)`);
+
+    return {
+        status: 200,
+        // The model call, for the request log
+        generation: result,
+        body: {
+            success: true,
+            ...generationService.formatOutput(template, result.text, result.data),
+            turn: saved.turnCount,
+            turnsLeft: Math.max(rules.maxTurns - saved.turnCount, 0),
+            tokensUsed: saved.tokensUsed,
+            cost,
+            remaining: updatedStatus.remaining,
+            isPremium: updatedStatus.isPremium || false
+        }
+    };
+}
+
+module.exports = {
+    create,
+    list,
+    get,
+    remove,
+    followUp
+};
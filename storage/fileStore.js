@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// File-backed store for local development and tests.
+// Each collection is one JSON file mapping document ID -> document data
+// (the same shape as data/limits.json). Writes go to a temp file that is then
+// renamed over the original, so a crash never leaves a half-written file.
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(target, source) {
+    const out = { ...target };
+    for (const [key, value] of Object.entries(source)) {
+        if (isPlainObject(value) && isPlainObject(out[key])) {
+            out[key] = deepMerge(out[key], value);
+        } else {
+            out[key] = value;
+        }
+    }
+    return out;
+}
+
+function getField(data, fieldPath) {
+    return fieldPath.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), data);
+}
+
+function setField(data, fieldPath, value) {
+    const keys = fieldPath.split('.');
+    let obj = data;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(obj[key])) obj[key] = {};
+        obj = obj[key];
+    }
+    obj[keys[keys.length - 1]] = value;
+}
+
+function compare(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    return a < b ? -1 : 1;
+}
+
+const OPERATORS = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a !== undefined && a !== null && a < b,
+    '<=': (a, b) => a !== undefined && a !== null && a <= b,
+    '>': (a, b) => a !== undefined && a !== null && a > b,
+    '>=': (a, b) => a !== undefined && a !== null && a >= b,
+    'in': (a, b) => b.includes(a),
+    'array-contains': (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+class DocumentSnapshot {
+    constructor(ref, data) {
+        this.ref = ref;
+        this.id = ref.id;
+        this.exists = data !== undefined;
+        this._data = data;
+    }
+
+    data() {
+        return clone(this._data);
+    }
+
+    get(fieldPath) {
+        return clone(getField(this._data || {}, fieldPath));
+    }
+}
+
+class QuerySnapshot {
+    constructor(docs) {
+        this.docs = docs;
+        this.size = docs.length;
+        this.empty = docs.length === 0;
+    }
+
+    forEach(fn) {
+        this.docs.forEach(fn);
+    }
+}
+
+class Query {
+    constructor(store, collectionName, filters = [], order = [], limitCount = null, offsetCount = 0) {
+        this._store = store;
+        this._collection = collectionName;
+        this._filters = filters;
+        this._order = order;
+        this._limit = limitCount;
+        this._offset = offsetCount;
+    }
+
+    where(fieldPath, op, value) {
+        if (!OPERATORS[op]) throw new Error(`Unsupported query operator: ${op}`);
+        return new Query(this._store, this._collection, [...this._filters, { fieldPath, op, value }], this._order, this._limit, this._offset);
+    }
+
+    orderBy(fieldPath, direction = 'asc') {
+        return new Query(this._store, this._collection, this._filters, [...this._order, { fieldPath, direction }], this._limit, this._offset);
+    }
+
+    limit(n) {
+        return new Query(this._store, this._collection, this._filters, this._order, n, this._offset);
+    }
+
+    offset(n) {
+        return new Query(this._store, this._collection, this._filters, this._order, this._limit, n);
+    }
+
+    async get() {
+        const docs = this._store._load(this._collection);
+        let entries = Object.entries(docs).filter(([, data]) =>
+            this._filters.every(f => OPERATORS[f.op](getField(data, f.fieldPath), f.value))
+        );
+
+        if (this._order.length) {
+            entries.sort(([, a], [, b]) => {
+                for (const { fieldPath, direction } of this._order) {
+                    const result = compare(getField(a, fieldPath), getField(b, fieldPath));
+                    if (result !== 0) return direction === 'desc' ? -result : result;
+                }
+                return 0;
+            });
+        }
+
+        entries = entries.slice(this._offset, this._limit === null ? undefined : this._offset + this._limit);
+        const collection = this._store.collection(this._collection);
+        return new QuerySnapshot(entries.map(([id, data]) => new DocumentSnapshot(collection.doc(id), clone(data))));
+    }
+}
+
+class CollectionReference extends Query {
+    constructor(store, name) {
+        super(store, name);
+        this.id = name;
+    }
+
+    doc(id) {
+        return new DocumentReference(this._store, this._collection, id || crypto.randomUUID());
+    }
+
+    async add(data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+    }
+}
+
+class DocumentReference {
+    constructor(store, collectionName, id) {
+        this._store = store;
+        this._collection = collectionName;
+        this.id = String(id);
+        this.path = `${collectionName}/${this.id}`;
+    }
+
+    async get() {
+        return this._store._read(this);
+    }
+
+    async set(data, options = {}) {
+        return this._store._withWriteLock(() => this._store._commit([staged => this._store._write(staged, this, 'set', data, options)]));
+    }
+
+    async update(data) {
+        return this._store._withWriteLock(() => this._store._commit([staged => this._store._write(staged, this, 'update', data)]));
+    }
+
+    async delete() {
+        return this._store._withWriteLock(() => this._store._commit([staged => this._store._write(staged, this, 'delete')]));
+    }
+}
+
+class Transaction {
+    constructor(store) {
+        this._store = store;
+        this._writes = [];
+    }
+
+    async get(refOrQuery) {
+        if (refOrQuery instanceof DocumentReference) return this._store._read(refOrQuery);
+        return refOrQuery.get();
+    }
+
+    set(ref, data, options = {}) {
+        this._writes.push(staged => this._store._write(staged, ref, 'set', data, options));
+        return this;
+    }
+
+    update(ref, data) {
+        this._writes.push(staged => this._store._write(staged, ref, 'update', data));
+        return this;
+    }
+
+    delete(ref) {
+        this._writes.push(staged => this._store._write(staged, ref, 'delete'));
+        return this;
+    }
+}
+
+class FileStore {
+    // options.dir: directory holding the collection files
+    // options.files: optional collection -> filename overrides (e.g. { users: 'limits.json' })
+    constructor(options = {}) {
+        this.dir = options.dir;
+        this.files = options.files || {};
+        this._cache = {};
+        this._lock = Promise.resolve();
+        this._transaction = new AsyncLocalStorage();
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    collection(name) {
+        return new CollectionReference(this, name);
+    }
+
+    // Transactions are serialized with every other write, so reads made inside
+    // the callback cannot be invalidated before its writes are applied. For the same
+    // reason the callback may only write through `t`: a plain ref write or a nested
+    // transaction would wait for the lock the callback holds, so it throws instead.
+    async runTransaction(fn) {
+        return this._withWriteLock(async () => {
+            const t = new Transaction(this);
+            const result = await this._transaction.run(t, () => fn(t));
+            this._commit(t._writes);
+            return result;
+        });
+    }
+
+    _withWriteLock(fn) {
+        if (this._transaction.getStore()) {
+            throw new Error("Write outside the transaction from inside a runTransaction callback; use the transaction's set/update/delete");
+        }
+        const run = this._lock.then(fn);
+        this._lock = run.catch(() => { });
+        return run;
+    }
+
+    // Applies the writes to copies of the collections they touch. Nothing changes unless every
+    // write succeeds and every staged collection is written to its temp file; then the temp files
+    // are renamed into place, each collection's cache swapped as its rename succeeds, so memory
+    // always matches disk. Only a failing rename (after another collection's succeeded) can leave
+    // a multi-collection commit partly applied.
+    _commit(writes) {
+        const staged = new Map();
+        for (const write of writes) write(staged);
+
+        const tmpFiles = [];
+        try {
+            for (const [name, docs] of staged) {
+                const tmp = `${this._filePath(name)}.${process.pid}.tmp`;
+                fs.writeFileSync(tmp, JSON.stringify(docs, null, 2));
+                tmpFiles.push(tmp);
+            }
+        } catch (e) {
+            for (const tmp of tmpFiles) fs.rmSync(tmp, { force: true });
+            throw e;
+        }
+
+        for (const [name, docs] of staged) {
+            fs.renameSync(`${this._filePath(name)}.${process.pid}.tmp`, this._filePath(name));
+            this._cache[name] = docs;
+        }
+    }
+
+    _filePath(name) {
+        return path.join(this.dir, this.files[name] || `${name}.json`);
+    }
+
+    _load(name) {
+        if (!this._cache[name]) {
+            const file = this._filePath(name);
+            this._cache[name] = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8') || '{}') : {};
+        }
+        return this._cache[name];
+    }
+
+    _read(ref) {
+        const docs = this._load(ref._collection);
+        return new DocumentSnapshot(ref, clone(docs[ref.id]));
+    }
+
+    // Applies a write to the staged copy of its collection (see _commit). Documents are
+    // replaced rather than changed in place, so the cached collection is never touched.
+    _write(staged, ref, type, data, options = {}) {
+        if (!staged.has(ref._collection)) staged.set(ref._collection, { ...this._load(ref._collection) });
+        const docs = staged.get(ref._collection);
+        if (type === 'delete') {
+            delete docs[ref.id];
+        } else if (type === 'update') {
+            if (docs[ref.id] === undefined) {
+                throw new Error(`No document to update: ${ref.path}`);
+            }
+            const updated = clone(docs[ref.id]);
+            for (const [fieldPath, value] of Object.entries(clone(data))) {
+                setField(updated, fieldPath, value);
+            }
+            docs[ref.id] = updated;
+        } else if (options.merge && docs[ref.id] !== undefined) {
+            docs[ref.id] = deepMerge(docs[ref.id], clone(data));
+        } else {
+            docs[ref.id] = clone(data);
+        }
+    }
+}
+
+module.exports = { FileStore };
@@ -0,0 +1,12 @@
+const { admin, initFirebase } = require('../firebase');
+
+// The Firestore client already implements the store interface (see storage/index.js),
+// so this adapter only has to make sure Firebase is initialized first.
+function createFirestoreStore() {
+    if (!initFirebase()) {
+        throw new Error("Firestore backend selected but no Firebase service account is configured");
+    }
+    return admin.firestore();
+}
+
+module.exports = { createFirestoreStore };
@@ -0,0 +1,65 @@
+const path = require('path');
+const { FileStore } = require('./fileStore');
+const { createFirestoreStore } = require('./firestoreStore');
+const { isFirebaseConfigured } = require('../firebase');
+
+// Storage backend shared by the services.
+//
+// A store exposes the subset of the Firestore API the services rely on:
+//   store.collection(name).doc(id) -> get(), set(data, { merge }), update(data), delete()
+//   store.collection(name).where(field, op, value).orderBy(field, dir).limit(n).offset(n).get()
+//   store.collection(name).add(data)
+//   store.runTransaction(async (t) => { t.get(ref); t.set/update/delete(ref, ...) })
+//     (all t.get() calls before any write, and no writes except through `t` inside the callback)
+//
+// Selected with STORAGE_BACKEND=firestore|file. When unset, Firestore is used if a
+// service account is configured, otherwise the local JSON files in DATA_DIR.
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+// The users collection keeps the historical limits.json filename.
+const FILE_NAMES = { users: 'limits.json' };
+
+let store = null;
+
+function resolveBackend() {
+    const configured = (process.env.STORAGE_BACKEND || '').toLowerCase();
+    if (configured) return configured;
+    if (isFirebaseConfigured()) return 'firestore';
+
+    console.warn("[Storage] No Firebase service account found. Falling back to local file storage.");
+    return 'file';
+}
+
+function createStore(backend = resolveBackend()) {
+    switch (backend) {
+        case 'firestore':
+            return createFirestoreStore();
+        case 'file':
+            return new FileStore({
+                dir: process.env.DATA_DIR || DEFAULT_DATA_DIR,
+                files: FILE_NAMES
+            });
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+    }
+}
+
+function getStore() {
+    if (!store) {
+        store = createStore();
+    }
+    return store;
+}
+
+// Replace the active store (e.g. a FileStore in a temp dir for tests).
+function setStore(newStore) {
+    store = newStore;
+}
+
+module.exports = {
+    getStore,
+    setStore,
+    createStore,
+    FileStore
+};
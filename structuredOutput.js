@@ -0,0 +1,117 @@
+// Structured (JSON) output for categories that declare a `responseSchema`.
+//
+// Schemas are a JSON Schema subset that Gemini's response-schema support also understands:
+//   type ('object' | 'array' | 'string' | 'number' | 'integer' | 'boolean'), properties, required,
+//   items, enum, description, nullable, plus minLength / maxLength / minItems / maxItems
+//   (checked here, not sent to the provider).
+
+const PROVIDER_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items'];
+
+// The schema as sent to the provider: unsupported keywords removed.
+function toProviderSchema(schema) {
+    const result = {};
+    for (const key of PROVIDER_KEYS) {
+        if (schema[key] === undefined) continue;
+        if (key === 'properties') {
+            result.properties = {};
+            for (const [name, prop] of Object.entries(schema.properties)) {
+                result.properties[name] = toProviderSchema(prop);
+            }
+        } else if (key === 'items') {
+            result.items = toProviderSchema(schema.items);
+        } else {
+            result[key] = schema[key];
+        }
+    }
+    return result;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Returns a list of "path: problem" strings; empty if the value matches.
+function validate(schema, value, at = '$') {
+    const errors = [];
+    const actual = typeOf(value);
+
+    if (value === null) {
+        if (!schema.nullable) errors.push(`${at}: must not be null`);
+        return errors;
+    }
+    const typeOk = schema.type === 'number' ? ['number', 'integer'].includes(actual) : actual === schema.type;
+    if (schema.type && !typeOk) {
+        errors.push(`${at}: must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (actual === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+    }
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+        }
+    }
+    if (actual === 'object') {
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) errors.push(`${at}.${name}: is required`);
+        }
+        for (const [name, prop] of Object.entries(schema.properties || {})) {
+            if (value[name] !== undefined) errors.push(...validate(prop, value[name], `${at}.${name}`));
+        }
+    }
+    return errors;
+}
+
+// Parses model text as JSON (tolerating markdown fences) and validates it.
+// Returns { valid: true, value } or { valid: false, errors }.
+function parse(schema, text) {
+    let json = (text || '').trim();
+    const fenced = json.match(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/);
+    if (fenced) json = fenced[1];
+
+    let value;
+    try {
+        value = JSON.parse(json);
+    } catch (e) {
+        return { valid: false, errors: [`$: not valid JSON (${e.message})`] };
+    }
+    const errors = validate(schema, value);
+    return errors.length ? { valid: false, errors } : { valid: true, value };
+}
+
+// Follow-up message asking the model to fix its previous answer.
+function repairPrompt(schema, errors) {
+    return [
+        "Your previous response did not match the required JSON schema.",
+        `Problems: ${errors.slice(0, 10).join('; ')}`,
+        `Schema: ${JSON.stringify(toProviderSchema(schema))}`,
+        "Reply again with ONLY the corrected JSON object, no markdown and no commentary."
+    ].join('\n');
+}
+
+// Typed error for output that is still invalid after the repair attempt.
+function invalidOutputError(errors) {
+    const error = new Error("The model returned a response in an unexpected format. Try again.");
+    error.status = 502;
+    error.body = { code: 'invalid_output', errors: errors.slice(0, 10) };
+    return error;
+}
+
+module.exports = {
+    toProviderSchema,
+    validate,
+    parse,
+    repairPrompt,
+    invalidOutputError
+};
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStore } = require('../storage/fileStore');
+
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function createStore() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filestore-test-'));
+    dirs.push(dir);
+    return { dir, store: new FileStore({ dir, files: { users: 'limits.json' } }) };
+}
+
+function readFile(dir, name) {
+    return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+}
+
+test('set, merge, update and delete persist to the collection file', async () => {
+    const { dir, store } = createStore();
+    const ref = store.collection('users').doc('device-1');
+
+    await ref.set({ count: 1, quota: { day: '2026-01-01', used: 1 } });
+    await ref.set({ quota: { used: 2 } }, { merge: true });
+    assert.deepStrictEqual((await ref.get()).data(), { count: 1, quota: { day: '2026-01-01', used: 2 } });
+
+    await ref.update({ 'quota.used': 3, grants: {} });
+    assert.deepStrictEqual(readFile(dir, 'limits.json'), { 'device-1': { count: 1, quota: { day: '2026-01-01', used: 3 }, grants: {} } });
+
+    await ref.delete();
+    assert.strictEqual((await ref.get()).exists, false);
+    assert.deepStrictEqual(readFile(dir, 'limits.json'), {});
+});
+
+test('a transaction applies all of its writes together', async () => {
+    const { dir, store } = createStore();
+    const a = store.collection('a').doc('1');
+    const b = store.collection('b').doc('1');
+    await a.set({ v: 1 });
+
+    const result = await store.runTransaction(async (t) => {
+        const doc = await t.get(a);
+        t.update(a, { v: doc.data().v + 1 });
+        t.set(b, { from: 'transaction' });
+        return 'done';
+    });
+
+    assert.strictEqual(result, 'done');
+    assert.deepStrictEqual(readFile(dir, 'a.json'), { 1: { v: 2 } });
+    assert.deepStrictEqual(readFile(dir, 'b.json'), { 1: { from: 'transaction' } });
+});
+
+test('a failing write leaves memory and disk unchanged', async () => {
+    const { dir, store } = createStore();
+    const a = store.collection('a').doc('1');
+    await a.set({ v: 1 });
+
+    await assert.rejects(store.runTransaction(async (t) => {
+        t.set(a, { v: 2 });
+        t.update(store.collection('b').doc('missing'), { v: 2 });
+    }), /No document to update/);
+
+    assert.deepStrictEqual((await a.get()).data(), { v: 1 });
+    assert.deepStrictEqual(readFile(dir, 'a.json'), { 1: { v: 1 } });
+    assert.strictEqual(fs.existsSync(path.join(dir, 'b.json')), false);
+});
+
+test('a failing temp file write leaves every collection unchanged', async () => {
+    const { dir, store } = createStore();
+    const a = store.collection('a').doc('1');
+    const b = store.collection('b').doc('1');
+    await a.set({ v: 1 });
+    // A directory where b's temp file would go makes writing it fail
+    fs.mkdirSync(path.join(dir, `b.json.${process.pid}.tmp`));
+
+    await assert.rejects(store.runTransaction(async (t) => {
+        t.set(a, { v: 2 });
+        t.set(b, { v: 2 });
+    }));
+
+    assert.deepStrictEqual((await a.get()).data(), { v: 1 });
+    assert.deepStrictEqual(readFile(dir, 'a.json'), { 1: { v: 1 } });
+    assert.strictEqual(fs.existsSync(path.join(dir, `a.json.${process.pid}.tmp`)), false);
+});
+
+test('an error thrown by the callback discards its writes', async () => {
+    const { store } = createStore();
+    const a = store.collection('a').doc('1');
+
+    await assert.rejects(store.runTransaction(async (t) => {
+        t.set(a, { v: 1 });
+        throw new Error('rejected');
+    }), /rejected/);
+    assert.strictEqual((await a.get()).exists, false);
+});
+
+test('writes outside the transaction from inside its callback throw instead of hanging', async () => {
+    const { store } = createStore();
+    const a = store.collection('a').doc('1');
+
+    await assert.rejects(store.runTransaction(async () => {
+        await a.set({ v: 1 });
+    }), /inside a runTransaction callback/);
+    await assert.rejects(store.runTransaction(async () => {
+        await store.runTransaction(async () => { });
+    }), /inside a runTransaction callback/);
+});
+
+test('transactions are serialized with concurrent writes', async () => {
+    const { store } = createStore();
+    const counter = store.collection('counters').doc('c');
+    await counter.set({ n: 0 });
+
+    await Promise.all(Array.from({ length: 10 }, () => store.runTransaction(async (t) => {
+        const doc = await t.get(counter);
+        await new Promise(resolve => setImmediate(resolve));
+        t.update(counter, { n: doc.data().n + 1 });
+    })));
+    assert.strictEqual((await counter.get()).data().n, 10);
+});
+
+test('queries filter, order and page', async () => {
+    const { store } = createStore();
+    const orders = store.collection('orders');
+    await orders.doc('a').set({ deviceId: 'd1', createdAt: '2026-01-01' });
+    await orders.doc('b').set({ deviceId: 'd1', createdAt: '2026-01-03' });
+    await orders.doc('c').set({ deviceId: 'd2', createdAt: '2026-01-02' });
+
+    const snapshot = await orders.where('deviceId', '==', 'd1').orderBy('createdAt', 'desc').limit(1).get();
+    assert.deepStrictEqual(snapshot.docs.map(doc => doc.id), ['b']);
+});
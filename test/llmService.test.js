@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Models are scripted through the mock provider (see providers/mockProvider.js)
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-test-'));
+process.env.LLM_MODELS_CONFIG = path.join(configDir, 'models.json');
+delete process.env.LLM_PROVIDER;
+fs.writeFileSync(process.env.LLM_MODELS_CONFIG, JSON.stringify({
+    default: ['mock:mock-model'],
+    categories: {
+        falls_back: ['mock:fail-503', 'mock:mock-model'],
+        rejected: ['mock:fail-400', 'mock:mock-model'],
+        all_down: ['mock:fail-503', 'mock:fail-429']
+    },
+    pricing: {
+        'mock:mock-model': { inputPerMillion: 1, outputPerMillion: 2 }
+    },
+    retry: { maxRetries: 1, baseDelayMs: 1, maxDelayMs: 2 }
+}));
+
+const llmService = require('../llmService');
+const { MockProvider, setProvider } = require('../providers');
+
+test.after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+const mock = new MockProvider({ latencyMs: 0 });
+setProvider('mock', mock);
+
+function call(category) {
+    return llmService.generate({ category, systemInstruction: 'Be brief.', parts: [{ text: 'Hello' }] });
+}
+
+test('categories use their own chain, others the default', () => {
+    assert.deepStrictEqual(llmService.getModelChain('falls_back'), [
+        { provider: 'mock', model: 'fail-503' },
+        { provider: 'mock', model: 'mock-model' }
+    ]);
+    assert.deepStrictEqual(llmService.getModelChain('anything_else'), [{ provider: 'mock', model: 'mock-model' }]);
+});
+
+test('the mock provider answers the same prompt the same way', async () => {
+    const first = await call('anything_else');
+    const second = await call('anything_else');
+    assert.strictEqual(first.text, second.text);
+    assert.strictEqual(first.provider, 'mock');
+    assert.strictEqual(first.model, 'mock-model');
+    assert.strictEqual(first.attempts, 1);
+    assert.ok(first.usage.totalTokens > 0);
+});
+
+test('transient errors are retried, then the next model is tried', async () => {
+    const result = await call('falls_back');
+    assert.strictEqual(result.model, 'mock-model');
+    // fail-503 twice (one retry), then mock-model
+    assert.strictEqual(result.attempts, 3);
+});
+
+test('errors that are not transient are not retried or passed down the chain', async () => {
+    await assert.rejects(call('rejected'), (error) => error.status === 400);
+});
+
+test('when every model fails, the last error is thrown', async () => {
+    await assert.rejects(call('all_down'), (error) => error.status === 429);
+});
+
+test('cost is estimated from the configured pricing', () => {
+    const usage = { promptTokens: 1000000, outputTokens: 500000, totalTokens: 1500000 };
+    assert.strictEqual(llmService.estimateCost('mock', 'mock-model', usage), 2);
+    assert.strictEqual(llmService.estimateCost('mock', 'fail-503', usage), null);
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grants-test-'));
+process.env.STORAGE_BACKEND = 'file';
+process.env.DATA_DIR = dataDir;
+
+const limitService = require('../limitService');
+const { getStore } = require('../storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function inDays(days) {
+    return new Date(Date.now() + days * DAY_MS).toISOString();
+}
+
+// Expiries are computed from "now" inside the service, so allow a little drift.
+function assertAbout(actualIso, expectedIso) {
+    const drift = Math.abs(Date.parse(actualIso) - Date.parse(expectedIso));
+    assert.ok(drift < 60 * 1000, `${actualIso} is not about ${expectedIso}`);
+}
+
+let deviceCount = 0;
+async function newDevice(fields = {}) {
+    const deviceId = `grants-device-${++deviceCount}`;
+    await getStore().collection('users').doc(deviceId).set({ count: 0, ...fields });
+    return deviceId;
+}
+
+test('refunding one order keeps the days of another', async () => {
+    const deviceId = await newDevice();
+    assert.ok(await limitService.upgradeUser(deviceId, 30, { source: 'razorpay', orderId: 'order_a' }));
+    assert.ok(await limitService.upgradeUser(deviceId, 30, { source: 'razorpay', orderId: 'order_b' }));
+    assertAbout((await limitService.getLimitStatus(deviceId)).expiryDate, inDays(60));
+
+    assert.ok(await limitService.revokeGrant(deviceId, 'razorpay:order_a', { reason: 'razorpay_refund' }));
+    const status = await limitService.getLimitStatus(deviceId);
+    assert.strictEqual(status.isPremium, true);
+    assertAbout(status.expiryDate, inDays(30));
+});
+
+test('a lapsed store subscription leaves day passes in place', async () => {
+    const deviceId = await newDevice();
+    await limitService.upgradeUser(deviceId, 30, { source: 'razorpay', orderId: 'order_c' });
+    await limitService.upgradeUser(deviceId, 30, { source: 'google_play', grantId: 'google_play:token', expiresAt: inDays(90), plan: 'premium_yearly' });
+    assertAbout((await limitService.getLimitStatus(deviceId)).expiryDate, inDays(90));
+
+    await limitService.revokeGrant(deviceId, 'google_play:token', { reason: 'google_play_expired' });
+    const status = await limitService.getLimitStatus(deviceId);
+    assert.strictEqual(status.isPremium, true);
+    assert.strictEqual(status.quota.tier, 'premium_monthly');
+    assertAbout(status.expiryDate, inDays(30));
+});
+
+test('re-applying a subscription does not cut short a later expiry from another grant', async () => {
+    const deviceId = await newDevice();
+    await limitService.upgradeUser(deviceId, 30, { source: 'razorpay', orderId: 'order_d' });
+    await limitService.upgradeUser(deviceId, 30, { source: 'google_play', grantId: 'google_play:short', expiresAt: inDays(5) });
+    assertAbout((await limitService.getLimitStatus(deviceId)).expiryDate, inDays(30));
+});
+
+test('a day pass granted during a subscription runs after it, and renewals do not push it back', async () => {
+    const deviceId = await newDevice();
+    await limitService.upgradeUser(deviceId, 30, { source: 'google_play', grantId: 'google_play:renewing', expiresAt: inDays(30) });
+    await limitService.upgradeUser(deviceId, 10, { source: 'admin' });
+    assertAbout((await limitService.getLimitStatus(deviceId)).expiryDate, inDays(40));
+
+    // Renewed: the pass still runs from day 30 to 40, inside the renewed period
+    await limitService.upgradeUser(deviceId, 30, { source: 'google_play', grantId: 'google_play:renewing', expiresAt: inDays(60) });
+    assertAbout((await limitService.getLimitStatus(deviceId)).expiryDate, inDays(60));
+
+    // Taken back: the pass starts right away
+    await limitService.revokeGrant(deviceId, 'google_play:renewing', {});
+    assertAbout((await limitService.getLimitStatus(deviceId)).expiryDate, inDays(10));
+});
+
+test('a promo extends a subscriber without lowering the plan', async () => {
+    const deviceId = await newDevice();
+    await limitService.upgradeUser(deviceId, 365, { source: 'razorpay', orderId: 'order_e', plan: 'premium_yearly' });
+    await limitService.upgradeUser(deviceId, 7, { source: 'promo', grantId: 'promo:WELCOME:1', plan: 'promo' });
+    await limitService.upgradeUser(deviceId, 10, { source: 'admin', plan: 'premium_monthly' });
+
+    const status = await limitService.getLimitStatus(deviceId);
+    assert.strictEqual(status.quota.tier, 'premium_yearly');
+    assertAbout(status.expiryDate, inDays(382));
+});
+
+test('a queued pass does not change the plan before its turn', async () => {
+    const deviceId = await newDevice();
+    await limitService.upgradeUser(deviceId, 30, { source: 'google_play', grantId: 'google_play:monthly', expiresAt: inDays(30), plan: 'premium_monthly' });
+    await limitService.upgradeUser(deviceId, 10, { source: 'admin', plan: 'premium_yearly' });
+    assert.strictEqual((await limitService.getLimitStatus(deviceId)).quota.tier, 'premium_monthly');
+});
+
+test('the plan follows the grant running now even when nothing was written since', async () => {
+    const deviceId = await newDevice({
+        plan: 'premium_yearly',
+        subscriptionExpiry: inDays(5),
+        isPremium: true,
+        grants: {
+            'google_play:ended': { source: 'google_play', plan: 'premium_yearly', orderId: null, grantedAt: inDays(-30), expiresAt: inDays(-1) },
+            'promo:queued': { source: 'promo', plan: 'promo', orderId: null, grantedAt: inDays(-10), days: 6, waitsUntil: inDays(-1) }
+        }
+    });
+    const status = await limitService.getLimitStatus(deviceId);
+    assert.strictEqual(status.isPremium, true);
+    assert.strictEqual(status.quota.tier, 'promo');
+});
+
+test('premium from before grants loses only the refunded days', async () => {
+    const deviceId = await newDevice({ plan: 'premium_monthly', subscriptionExpiry: inDays(60), isPremium: true });
+    await limitService.revokeGrant(deviceId, 'razorpay:order_old', { days: 30, reason: 'razorpay_refund' });
+    assertAbout((await limitService.getLimitStatus(deviceId)).expiryDate, inDays(30));
+
+    // Without the order's days nothing can be taken back safely
+    await limitService.revokeGrant(deviceId, 'google_play:old', { reason: 'google_play_expired' });
+    assertAbout((await limitService.getLimitStatus(deviceId)).expiryDate, inDays(30));
+});
+
+test('an admin revocation ends every grant', async () => {
+    const deviceId = await newDevice();
+    await limitService.upgradeUser(deviceId, 30, { source: 'razorpay', orderId: 'order_f' });
+    await limitService.upgradeUser(deviceId, 30, { source: 'promo', grantId: 'promo:X:1', plan: 'promo' });
+    await limitService.downgradeUser(deviceId, { reason: 'admin' });
+
+    const status = await limitService.getLimitStatus(deviceId);
+    assert.ok(!status.isPremium);
+    const doc = await getStore().collection('users').doc(deviceId).get();
+    assert.deepStrictEqual(doc.data().grants, {});
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Models are scripted through the mock provider (see providers/mockProvider.js)
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'structured-test-'));
+process.env.LLM_MODELS_CONFIG = path.join(configDir, 'models.json');
+process.env.STORAGE_BACKEND = 'file';
+process.env.DATA_DIR = configDir;
+fs.writeFileSync(process.env.LLM_MODELS_CONFIG, JSON.stringify({
+    default: ['mock:mock-model'],
+    categories: {
+        repairs: ['mock:badjson'],
+        never_valid: ['mock:badjson-always']
+    },
+    retry: { maxRetries: 0, baseDelayMs: 1, maxDelayMs: 1 }
+}));
+
+const structuredOutput = require('../structuredOutput');
+const generationService = require('../generationService');
+
+test.after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+const schema = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', minLength: 1, maxLength: 80 },
+        tags: { type: 'array', items: { type: 'string' }, maxItems: 3 },
+        tone: { type: 'string', enum: ['formal', 'casual'] }
+    },
+    required: ['title', 'tone']
+};
+
+test('parse accepts valid JSON, also inside a markdown fence', () => {
+    const value = { title: 'Hello', tags: ['a'], tone: 'casual' };
+    assert.deepStrictEqual(structuredOutput.parse(schema, JSON.stringify(value)), { valid: true, value });
+    assert.deepStrictEqual(structuredOutput.parse(schema, '```json\n' + JSON.stringify(value) + '\n```'), { valid: true, value });
+});
+
+test('parse reports broken JSON and every schema problem', () => {
+    const broken = structuredOutput.parse(schema, '{"title": ');
+    assert.strictEqual(broken.valid, false);
+    assert.match(broken.errors[0], /^\$: not valid JSON/);
+
+    const wrong = structuredOutput.parse(schema, JSON.stringify({ title: '', tags: ['a', 'b', 'c', 'd'], tone: 'loud' }));
+    assert.deepStrictEqual(wrong.errors, [
+        '$.title: must be at least 1 characters',
+        '$.tags: must have at most 3 items',
+        '$.tone: must be one of formal, casual'
+    ]);
+    assert.deepStrictEqual(structuredOutput.parse(schema, '{}').errors, ['$.title: is required', '$.tone: is required']);
+});
+
+test('the provider schema drops keywords the provider does not support', () => {
+    assert.deepStrictEqual(structuredOutput.toProviderSchema(schema).properties.title, { type: 'string' });
+    assert.deepStrictEqual(structuredOutput.toProviderSchema(schema).properties.tags, { type: 'array', items: { type: 'string' } });
+});
+
+function structuredContext(category) {
+    return { category, template: { responseSchema: schema } };
+}
+
+function request(category) {
+    return { category, systemInstruction: 'Answer in JSON.', parts: [{ text: 'Describe a cat.' }], responseSchema: structuredOutput.toProviderSchema(schema) };
+}
+
+test('valid output is returned as data without another model call', async () => {
+    const result = await generationService.ensureStructured(structuredContext('repairs'), request('repairs'), {
+        text: JSON.stringify({ title: 'Cat', tone: 'formal' }),
+        attempts: 1
+    });
+    assert.deepStrictEqual(result.data, { title: 'Cat', tone: 'formal' });
+    assert.strictEqual(result.attempts, 1);
+});
+
+test('invalid output gets one repair round-trip', async () => {
+    const result = await generationService.ensureStructured(structuredContext('repairs'), request('repairs'), {
+        text: '{"oops": ',
+        usage: { promptTokens: 10, outputTokens: 2, totalTokens: 12 },
+        attempts: 1
+    });
+    assert.strictEqual(result.data.tone, 'formal');
+    assert.strictEqual(typeof result.data.title, 'string');
+    assert.strictEqual(result.attempts, 2);
+    assert.ok(result.usage.totalTokens > 12);
+});
+
+test('output still invalid after the repair is a 502 invalid_output error', async () => {
+    await assert.rejects(
+        generationService.ensureStructured(structuredContext('never_valid'), request('never_valid'), { text: '{"oops": ', attempts: 1 }),
+        (error) => {
+            assert.strictEqual(error.status, 502);
+            assert.strictEqual(error.body.code, 'invalid_output');
+            assert.ok(error.body.errors.length > 0);
+            return true;
+        }
+    );
+});
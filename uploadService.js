@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+
+// File uploads for generation requests: images, plain text and PDF attachments,
+// sent as `image` (one file, older clients) and/or `files` (up to UPLOAD_MAX_FILES).
+//
+// - Files land in UPLOAD_DIR under random names; the client's filename is never used on disk.
+// - The real type is sniffed from the file's content; only FILE_KINDS types get through
+//   and the client-sent MIME type is replaced by the sniffed one. Which kinds a category
+//   accepts is up to its template (see templateRegistry.attachmentRules).
+// - Size is capped per file by the plan tier (`maxUploadBytes` in config/plans.json) and
+//   hard-capped at UPLOAD_MAX_BYTES before the tier is known.
+// - Large images are downscaled / recompressed before they are base64-encoded for the model.
+// - Every upload is deleted when its response finishes, whatever the outcome, and a sweeper
+//   removes anything older than UPLOAD_MAX_AGE_MINUTES (e.g. after a crash).
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || '/tmp/uploads';
+const HARD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES || 20 * 1024 * 1024);
+const MAX_DIMENSION = Number(process.env.UPLOAD_MAX_DIMENSION || 1536);
+const RECOMPRESS_BYTES = Number(process.env.UPLOAD_RECOMPRESS_BYTES || 1024 * 1024);
+const MAX_AGE_MS = Number(process.env.UPLOAD_MAX_AGE_MINUTES || 30) * 60 * 1000;
+const MAX_FILES = Number(process.env.UPLOAD_MAX_FILES || 10);
+const MAX_TEXT_CHARS = Number(process.env.UPLOAD_MAX_TEXT_CHARS || 20000);
+
+// Attachment kinds and the MIME types each one covers.
+const FILE_KINDS = {
+    image: ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'],
+    pdf: ['application/pdf'],
+    text: ['text/plain']
+};
+
+if (!fs.existsSync(UPLOAD_DIR)) {
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+}
+
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: UPLOAD_DIR,
+        filename: (req, file, cb) => cb(null, crypto.randomUUID())
+    }),
+    limits: { fileSize: HARD_MAX_BYTES, files: MAX_FILES }
+});
+
+const acceptFields = upload.fields([
+    { name: 'image', maxCount: 1 },
+    { name: 'files', maxCount: MAX_FILES }
+]);
+
+function removeFile(file) {
+    if (!file) return;
+    fs.unlink(file.path, (err) => {
+        if (err && err.code !== 'ENOENT') console.error("[Upload] Error deleting temp file:", err);
+    });
+}
+
+// Parses the `image` and `files` fields into req.files (a flat array, `image` first),
+// with guaranteed cleanup once the response is finished or aborted.
+// Multer errors (too large, too many files) become 413/400 JSON responses.
+function acceptFiles(req, res, next) {
+    acceptFields(req, res, (err) => {
+        const grouped = req.files || {};
+        req.files = [...(grouped.image || []), ...(grouped.files || [])];
+        if (req.files.length) {
+            const files = req.files;
+            res.on('close', () => files.forEach(removeFile));
+        }
+        if (err) {
+            const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+            console.log(`[Upload] Rejected: ${err.message}`);
+            return res.status(tooLarge ? 413 : 400).json({
+                error: tooLarge ? "File is too large" : "Invalid upload",
+                fields: [{ field: err.field || 'files', message: err.message }]
+            });
+        }
+        next();
+    });
+}
+
+// Detects the file type from its first bytes; null if it isn't one we know.
+function sniffType(header) {
+    if (header.length >= 3 && header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) return 'image/jpeg';
+    if (header.length >= 8 && header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'image/png';
+    if (header.length >= 12 && header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    if (header.length >= 12 && header.toString('ascii', 4, 8) === 'ftyp') {
+        const brand = header.toString('ascii', 8, 12);
+        if (['heic', 'heix', 'heim', 'heis'].includes(brand)) return 'image/heic';
+        if (['mif1', 'msf1', 'heif'].includes(brand)) return 'image/heif';
+    }
+    if (header.length >= 5 && header.toString('ascii', 0, 5) === '%PDF-') return 'application/pdf';
+    if (looksLikeText(header)) return 'text/plain';
+    return null;
+}
+
+// UTF-8 without NUL bytes. The last few bytes may be a character cut in half by the sample.
+function looksLikeText(sample) {
+    if (!sample.length || sample.includes(0)) return false;
+    return !sample.toString('utf8', 0, Math.max(sample.length - 4, 1)).includes('\uFFFD');
+}
+
+function kindOf(mimeType) {
+    return Object.keys(FILE_KINDS).find(kind => FILE_KINDS[kind].includes(mimeType)) || null;
+}
+
+function readHeader(filePath, length = 4096) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const bytesRead = fs.readSync(fd, buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Checks one file against the kinds the category accepts and the tier's size limit.
+// Sets file.mimetype to the sniffed type and file.kind to its kind.
+// Returns null if the file is fine, otherwise { status, body } for the error response.
+function validateFile(file, { kinds = Object.keys(FILE_KINDS), maxBytes = HARD_MAX_BYTES } = {}) {
+    const type = sniffType(readHeader(file.path));
+    const kind = kindOf(type);
+    if (!kind || !kinds.includes(kind)) {
+        console.log(`[Upload] Rejected file with client type ${file.mimetype}: ${type || 'unknown content'}`);
+        const accepted = kinds.flatMap(k => FILE_KINDS[k]);
+        return {
+            status: 415,
+            body: { error: "Unsupported file type", fields: [{ field: file.fieldname, message: `must be one of: ${accepted.join(', ')}` }] }
+        };
+    }
+    if (file.size > maxBytes) {
+        return {
+            status: 413,
+            body: { error: "File is too large", fields: [{ field: file.fieldname, message: `must be at most ${Math.floor(maxBytes / 1024 / 1024)} MB on your plan` }] }
+        };
+    }
+    file.mimetype = type;
+    file.kind = kind;
+    return null;
+}
+
+// Text attachment content, truncated to MAX_TEXT_CHARS.
+function readText(file) {
+    const text = fs.readFileSync(file.path, 'utf8');
+    return text.length > MAX_TEXT_CHARS ? `${text.slice(0, MAX_TEXT_CHARS)}\n[truncated]` : text;
+}
+
+// Downscales and recompresses big images in place so the model payload stays small.
+// Keeps the original if sharp can't read it (e.g. HEIC without a decoder) or the result isn't smaller.
+async function optimizeImage(file) {
+    try {
+        const image = sharp(file.path, { failOn: 'error' });
+        const { width, height, hasAlpha } = await image.metadata();
+        if (file.size <= RECOMPRESS_BYTES && Math.max(width, height) <= MAX_DIMENSION) return file;
+
+        // rotate() applies the EXIF orientation; metadata (GPS etc.) is dropped
+        const pipeline = image.rotate().resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true });
+        const output = hasAlpha
+            ? await pipeline.webp({ quality: 80 }).toBuffer()
+            : await pipeline.jpeg({ quality: 80, mozjpeg: true }).toBuffer();
+
+        if (output.length >= file.size) return file;
+        fs.writeFileSync(file.path, output);
+        console.log(`[Upload] Optimized ${width}x${height} image from ${file.size} to ${output.length} bytes`);
+        file.size = output.length;
+        file.mimetype = hasAlpha ? 'image/webp' : 'image/jpeg';
+    } catch (e) {
+        console.log(`[Upload] Could not optimize image (${file.mimetype}), sending as is: ${e.message}`);
+    }
+    return file;
+}
+
+// Deletes uploads older than MAX_AGE_MS. Returns how many were removed.
+function sweepStaleUploads(now = Date.now()) {
+    let removed = 0;
+    for (const name of fs.readdirSync(UPLOAD_DIR)) {
+        const filePath = path.join(UPLOAD_DIR, name);
+        try {
+            const stat = fs.statSync(filePath);
+            if (stat.isFile() && now - stat.mtimeMs > MAX_AGE_MS) {
+                fs.unlinkSync(filePath);
+                removed++;
+            }
+        } catch (e) {
+            // Deleted by its request in the meantime
+        }
+    }
+    if (removed) console.log(`[Upload] Swept ${removed} stale upload(s)`);
+    return removed;
+}
+
+function startUploadSweeper(intervalMs) {
+    sweepStaleUploads();
+    const timer = setInterval(() => {
+        try {
+            sweepStaleUploads();
+        } catch (e) {
+            console.error("[Upload] Sweep failed:", e.message);
+        }
+    }, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    FILE_KINDS,
+    UPLOAD_DIR,
+    MAX_FILES,
+    acceptFiles,
+    removeFile,
+    sniffType,
+    validateFile,
+    readText,
+    optimizeImage,
+    sweepStaleUploads,
+    startUploadSweeper
+};